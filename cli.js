@@ -0,0 +1,861 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+
+// Each command lists the options it accepts in util.parseArgs form. Modules are
+// required inside run() so that one command doesn't pay for another's
+// dependencies.
+
+// The logging options of the commands that crawl (see lib/log.js)
+const LOG_OPTIONS = {
+    'log-level': { type: 'string' },
+    'log-format': { type: 'string' },
+    'log-file': { type: 'string' }
+};
+
+const COMMANDS = {
+    scrape: {
+        summary: 'Crawl the General Laws, optionally narrowed to a part, title, chapter or section range',
+        usage: 'ma-law scrape [--part II] [--title I] [--chapter 186] [--sections 1-15B] [--force] [--backend http|puppeteer] [--concurrency 6] [--rate 8] [--output file] [--store dir] [--snapshot-dir snapshots] [--cache-dir .cache/http] [--cache-max-age 1d] [--no-cache] [--record dir | --replay dir] [--no-progress] [--log-level debug|info|warn|error] [--log-format text|json] [--log-file file]',
+        options: {
+            part: { type: 'string' },
+            title: { type: 'string' },
+            chapter: { type: 'string' },
+            sections: { type: 'string' },
+            force: { type: 'boolean', default: false },
+            backend: { type: 'string', default: 'http' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            output: { type: 'string' },
+            store: { type: 'string' },
+            'snapshot-dir': { type: 'string' },
+            'cache-dir': { type: 'string' },
+            'cache-max-age': { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            'no-progress': { type: 'boolean', default: false },
+            ...LOG_OPTIONS
+        },
+        run: async (values) => {
+            configureLogging(values);
+            const { scrapeLaws } = require('./lib/crawl');
+            const { CACHE_DIR } = require('./lib/cache');
+            const { parseDuration } = require('./lib/util');
+            await scrapeLaws({
+                ...values,
+                concurrency: toNumber(values.concurrency, '--concurrency'),
+                rate: toNumber(values.rate, '--rate'),
+                storeDir: values.store,
+                snapshotDir: values['snapshot-dir'],
+                cacheDir: values['no-cache'] ? null : values['cache-dir'] || CACHE_DIR,
+                cacheMaxAge: values['cache-max-age'] ? parseDuration(values['cache-max-age']) : 0,
+                logFile: values['log-file'],
+                progress: !values['no-progress']
+            });
+        }
+    },
+    'retry-failed': {
+        summary: 'Fetch again the pages earlier crawls could not, or list them',
+        usage: 'ma-law retry-failed [--all] [--list] [--backend http|puppeteer] [--concurrency 6] [--rate 8] [--output file] [--store dir] [--cache-dir .cache/http] [--no-cache] [--log-level debug|info|warn|error] [--log-format text|json] [--log-file file]',
+        options: {
+            all: { type: 'boolean', default: false },
+            list: { type: 'boolean', default: false },
+            backend: { type: 'string', default: 'http' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            output: { type: 'string' },
+            store: { type: 'string' },
+            'cache-dir': { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            ...LOG_OPTIONS
+        },
+        run: async (values) => {
+            configureLogging(values);
+            const { OUTPUT_FILE, retryFailed } = require('./lib/crawl');
+            const { CACHE_DIR } = require('./lib/cache');
+            const { storeDirFor } = require('./lib/store');
+            const { createFailureLog } = require('./lib/failures');
+
+            if (values.list) {
+                const failures = createFailureLog(values.store || storeDirFor(values.output || OUTPUT_FILE));
+                for (const entry of failures.list()) {
+                    const where = entry.section
+                        ? `c. ${entry.chapter.chapter}, § ${entry.section.number}`
+                        : `c. ${entry.chapter.chapter}`;
+                    console.log(`${where}  ${entry.error_type}${entry.transient ? '' : ' (permanent)'}  ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}, last ${entry.last_failed_at}`);
+                    console.log(`    ${entry.url}`);
+                }
+                console.log(`${failures.list().length} failed pages`);
+                return;
+            }
+
+            await retryFailed({
+                ...values,
+                concurrency: toNumber(values.concurrency, '--concurrency'),
+                rate: toNumber(values.rate, '--rate'),
+                storeDir: values.store,
+                cacheDir: values['no-cache'] ? null : values['cache-dir'] || CACHE_DIR,
+                logFile: values['log-file']
+            });
+        }
+    },
+    'session-laws': {
+        summary: 'Crawl the Session Laws: the acts and resolves of each year, with the General Laws each act changes',
+        usage: 'ma-law session-laws [--years 2017-2019] [--kinds acts,resolves] [--force] [--backend http|puppeteer] [--concurrency 6] [--rate 8] [--output massachusetts_session_laws.json] [--store dir] [--cache-dir .cache/http] [--cache-max-age 1d] [--no-cache] [--record dir | --replay dir] [--log-level debug|info|warn|error] [--log-format text|json] [--log-file file]',
+        options: {
+            years: { type: 'string' },
+            kinds: { type: 'string' },
+            force: { type: 'boolean', default: false },
+            backend: { type: 'string', default: 'http' },
+            concurrency: { type: 'string' },
+            rate: { type: 'string' },
+            output: { type: 'string' },
+            store: { type: 'string' },
+            'cache-dir': { type: 'string' },
+            'cache-max-age': { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            ...LOG_OPTIONS
+        },
+        run: async (values) => {
+            configureLogging(values);
+            const { scrapeSessionLaws } = require('./lib/sessionlaws');
+            const { CACHE_DIR } = require('./lib/cache');
+            const { parseDuration } = require('./lib/util');
+            await scrapeSessionLaws({
+                ...values,
+                concurrency: toNumber(values.concurrency, '--concurrency'),
+                rate: toNumber(values.rate, '--rate'),
+                storeDir: values.store,
+                cacheDir: values['no-cache'] ? null : values['cache-dir'] || CACHE_DIR,
+                cacheMaxAge: values['cache-max-age'] ? parseDuration(values['cache-max-age']) : 0,
+                logFile: values['log-file']
+            });
+        }
+    },
+    constitution: {
+        summary: 'Crawl the Massachusetts Constitution into a corpus file of the same shape as the General Laws',
+        usage: 'ma-law constitution [--backend http|puppeteer] [--output massachusetts_constitution.json] [--cache-dir .cache/http] [--cache-max-age 1d] [--no-cache] [--record dir | --replay dir] [--log-level debug|info|warn|error] [--log-format text|json] [--log-file file]',
+        options: {
+            backend: { type: 'string', default: 'http' },
+            output: { type: 'string' },
+            'cache-dir': { type: 'string' },
+            'cache-max-age': { type: 'string' },
+            'no-cache': { type: 'boolean', default: false },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            ...LOG_OPTIONS
+        },
+        run: async (values) => {
+            configureLogging(values);
+            const { scrapeConstitution } = require('./lib/constitution');
+            const { CACHE_DIR } = require('./lib/cache');
+            const { parseDuration } = require('./lib/util');
+            await scrapeConstitution({
+                ...values,
+                cacheDir: values['no-cache'] ? null : values['cache-dir'] || CACHE_DIR,
+                cacheMaxAge: values['cache-max-age'] ? parseDuration(values['cache-max-age']) : 0,
+                logFile: values['log-file']
+            });
+        }
+    },
+    build: {
+        summary: 'Write the nested JSON corpus from the store a crawl keeps its progress in',
+        usage: 'ma-law build [--output massachusetts_general_laws.json] [--store massachusetts_general_laws.store]',
+        options: {
+            output: { type: 'string' },
+            store: { type: 'string' }
+        },
+        run: async (values) => {
+            const fs = require('fs');
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { storeDirFor, createStore } = require('./lib/store');
+            const { writeAtomic } = require('./lib/util');
+
+            const output = values.output || OUTPUT_FILE;
+            const dir = values.store || storeDirFor(output);
+            if (!fs.existsSync(dir)) {
+                throw new Error(`No store at ${dir}, run scrape first`);
+            }
+            writeAtomic(output, JSON.stringify(createStore(dir).buildCorpus(), null, 2));
+            console.log(`Wrote ${output}`);
+        }
+    },
+    outline: {
+        summary: 'Save the parts, titles and chapters of the code without section text',
+        usage: 'ma-law outline [--backend http|puppeteer] [--output massachusetts_general_laws_outline.json] [--log-level debug|info|warn|error] [--log-format text|json] [--log-file file]',
+        options: {
+            backend: { type: 'string', default: 'http' },
+            output: { type: 'string', default: 'massachusetts_general_laws_outline.json' },
+            ...LOG_OPTIONS
+        },
+        run: async (values) => {
+            const { createClient } = require('.');
+            const { log, logToFile } = require('./lib/log');
+            const { writeAtomic } = require('./lib/util');
+
+            configureLogging(values);
+            const closeLog = values['log-file'] ? logToFile(values['log-file']) : () => {};
+            const client = createClient({ backend: values.backend });
+            try {
+                const laws = { parts: [] };
+                for (const part of await client.listParts()) {
+                    const titles = [];
+                    for (const title of await client.listTitles(part)) {
+                        titles.push({
+                            title: title.title,
+                            title_name: title.title_name,
+                            chapters: (await client.listChapters(title)).map(chapter => ({
+                                chapter: chapter.chapter,
+                                chapter_title: chapter.chapter_title,
+                                url: chapter.url
+                            }))
+                        });
+                    }
+                    laws.parts.push({ ...part, titles });
+                    // Save progress after each part
+                    writeAtomic(values.output, JSON.stringify(laws, null, 2));
+                }
+                log.info(`Saved ${laws.parts.length} parts to ${values.output}`);
+            } finally {
+                await client.close();
+                closeLog();
+            }
+        }
+    },
+    'export-site': {
+        summary: 'Render the corpus as a static website or a Markdown tree that works offline',
+        usage: 'ma-law export-site [--format html|markdown] [--out site] [--input massachusetts_general_laws.json]',
+        options: {
+            format: { type: 'string', default: 'html' },
+            out: { type: 'string', default: 'site' },
+            input: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { exportSite } = require('./lib/site');
+
+            const pages = exportSite(loadCorpus(values.input || OUTPUT_FILE), values.out, values.format);
+            console.log(`Wrote ${pages} pages to ${values.out}`);
+        }
+    },
+    cache: {
+        summary: 'Inspect or prune the on-disk page cache',
+        usage: 'ma-law cache inspect [url] | ma-law cache prune [--older-than 30d] [--cache-dir .cache/http]',
+        options: {
+            'older-than': { type: 'string' },
+            'cache-dir': { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const { CACHE_DIR, createHttpCache } = require('./lib/cache');
+            const { parseDuration } = require('./lib/util');
+
+            const cache = createHttpCache(values['cache-dir'] || CACHE_DIR);
+            const [action, url] = positionals;
+
+            if (action === 'inspect' && url) {
+                const entry = cache.lookup(url);
+                if (!entry) {
+                    throw new Error(`${url} is not cached`);
+                }
+                console.log(JSON.stringify(entry, null, 2));
+            } else if (action === 'inspect') {
+                const stats = cache.stats();
+                console.log(`Cache:     ${cache.dir}`);
+                console.log(`Pages:     ${stats.entries}`);
+                console.log(`Bodies:    ${stats.bodies} (${(stats.bytes / 1048576).toFixed(1)} MB)`);
+                console.log(`Oldest:    ${stats.oldest || '-'}`);
+                console.log(`Newest:    ${stats.newest || '-'}`);
+            } else if (action === 'prune') {
+                const olderThan = values['older-than'] ? parseDuration(values['older-than']) : undefined;
+                const removed = cache.prune(olderThan);
+                console.log(`Removed ${removed.entries} pages and ${removed.bodies} bodies`);
+            } else {
+                throw new Error('Expected "inspect" or "prune"');
+            }
+        }
+    },
+    snapshots: {
+        summary: 'List the saved crawl snapshots',
+        usage: 'ma-law snapshots [--snapshot-dir snapshots]',
+        options: {
+            'snapshot-dir': { type: 'string' }
+        },
+        run: async (values) => {
+            const { listSnapshots, SNAPSHOT_DIR } = require('./lib/snapshots');
+            for (const file of listSnapshots(values['snapshot-dir'] || SNAPSHOT_DIR)) {
+                console.log(file);
+            }
+        }
+    },
+    diff: {
+        summary: 'Report sections added, removed, repealed or modified between two snapshots',
+        usage: 'ma-law diff [old=previous] [new=latest] [--chapter 186,93A] [--format json|markdown|html] [--out file] [--snapshot-dir snapshots]',
+        options: {
+            chapter: { type: 'string' },
+            format: { type: 'string', default: 'markdown' },
+            out: { type: 'string' },
+            'snapshot-dir': { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const fs = require('fs');
+            const { SNAPSHOT_DIR, resolveSnapshot, loadSnapshot } = require('./lib/snapshots');
+            const { diffCorpora, renderMarkdown, renderHtml } = require('./lib/diff');
+
+            const dir = values['snapshot-dir'] || SNAPSHOT_DIR;
+            const from = resolveSnapshot(positionals[0] || 'previous', dir);
+            const to = resolveSnapshot(positionals[1] || 'latest', dir);
+            const diff = diffCorpora(loadSnapshot(from), loadSnapshot(to), {
+                chapters: values.chapter ? values.chapter.split(',').map(c => c.trim()) : null
+            });
+
+            let output;
+            if (values.format === 'json') {
+                output = JSON.stringify({ from, to, ...diff }, null, 2);
+            } else if (values.format === 'markdown') {
+                output = renderMarkdown(diff, { from, to });
+            } else if (values.format === 'html') {
+                output = renderHtml(diff, { from, to });
+            } else {
+                throw new Error(`Unknown format "${values.format}", expected json, markdown or html`);
+            }
+
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.log(`Wrote ${values.out}`);
+            } else {
+                console.log(output);
+            }
+        }
+    },
+    validate: {
+        summary: 'Check a corpus against the published schema and for duplicate numbers, empty sections and missing URLs',
+        usage: 'ma-law validate [file=massachusetts_general_laws.json] [--json]',
+        options: {
+            json: { type: 'boolean', default: false }
+        },
+        run: async (values, positionals) => {
+            const fs = require('fs');
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { validateCorpus } = require('./lib/schema');
+
+            // Read as written, so a missing or unknown schema_version is reported
+            const file = positionals[0] || OUTPUT_FILE;
+            const { errors, problems } = validateCorpus(JSON.parse(fs.readFileSync(file, 'utf8')));
+
+            if (values.json) {
+                console.log(JSON.stringify({ file, errors, problems }, null, 2));
+            } else {
+                for (const error of errors) {
+                    console.log(`schema  ${error.path}: ${error.message}`);
+                }
+                for (const problem of problems) {
+                    console.log(`${(problem.citation || problem.path)}: ${problem.message}`);
+                }
+                console.log(`${file}: ${errors.length} schema error${errors.length === 1 ? '' : 's'}, ${problems.length} other problem${problems.length === 1 ? '' : 's'}`);
+            }
+            if (errors.length || problems.length) {
+                process.exitCode = 1;
+            }
+        }
+    },
+    numbering: {
+        summary: 'Report gaps and duplicates in the section numbers of each chapter',
+        usage: 'ma-law numbering [--chapter 186] [--json] [--input massachusetts_general_laws.json]',
+        options: {
+            chapter: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            input: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { numberingReport } = require('./lib/numbering');
+
+            const report = numberingReport(loadCorpus(values.input || OUTPUT_FILE))
+                .filter(entry => !values.chapter || String(entry.chapter).toUpperCase() === values.chapter.toUpperCase());
+
+            if (values.json) {
+                console.log(JSON.stringify(report, null, 2));
+                return;
+            }
+            for (const entry of report) {
+                console.log(`Chapter ${entry.chapter}`);
+                for (const number of entry.duplicates) {
+                    console.log(`  duplicate  § ${number}`);
+                }
+                for (const gap of entry.gaps) {
+                    console.log(`  gap        ${gap.missing.length > 3 ? `${gap.missing[0]} to ${gap.missing[gap.missing.length - 1]}` : gap.missing.join(', ')} (between § ${gap.after} and § ${gap.before})`);
+                }
+                for (const number of entry.unreadable) {
+                    console.log(`  unreadable "${number}"`);
+                }
+            }
+            console.log(`${report.length} chapter${report.length === 1 ? '' : 's'} with numbering to check`);
+        }
+    },
+    'export-sqlite': {
+        summary: 'Write the corpus into a SQLite database with a full-text index',
+        usage: 'ma-law export-sqlite [--input massachusetts_general_laws.json] [--db massachusetts_general_laws.db]',
+        options: {
+            input: { type: 'string' },
+            db: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { DB_FILE, exportSqlite } = require('./lib/sqlite');
+
+            const db = values.db || DB_FILE;
+            const counts = exportSqlite(loadCorpus(values.input || OUTPUT_FILE), db);
+            console.log(`Wrote ${counts.parts} parts, ${counts.titles} titles, ${counts.chapters} chapters and ${counts.sections} sections to ${db}`);
+        }
+    },
+    'export-chunks': {
+        summary: 'Split the sections into passages for a retrieval index, written as JSONL',
+        usage: 'ma-law export-chunks [--max-length 2000] [--overlap 200] [--input massachusetts_general_laws.json] [--out massachusetts_general_laws.chunks.jsonl]',
+        options: {
+            'max-length': { type: 'string' },
+            overlap: { type: 'string' },
+            input: { type: 'string' },
+            out: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { CHUNKS_FILE, exportChunks } = require('./lib/chunks');
+
+            const overlap = values.overlap === undefined ? undefined : Number(values.overlap);
+            if (overlap !== undefined && !(overlap >= 0)) {
+                throw new Error('--overlap must be zero or more');
+            }
+            const out = values.out || CHUNKS_FILE;
+            const count = exportChunks(loadCorpus(values.input || OUTPUT_FILE), out, {
+                maxLength: toNumber(values['max-length'], '--max-length'),
+                overlap
+            });
+            console.log(`Wrote ${count} chunks to ${out}`);
+        }
+    },
+    search: {
+        summary: 'Full-text search of the exported database',
+        usage: 'ma-law search <query> [--chapter 186] [--status active] [--limit 10] [--raw] [--json] [--db massachusetts_general_laws.db]',
+        options: {
+            chapter: { type: 'string' },
+            status: { type: 'string' },
+            limit: { type: 'string' },
+            raw: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            db: { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const { DB_FILE, search } = require('./lib/sqlite');
+            const { STATUSES } = require('./lib/status');
+
+            const query = positionals.join(' ');
+            if (!query) {
+                throw new Error('Nothing to search for');
+            }
+            if (values.status && !STATUSES.includes(values.status)) {
+                throw new Error(`Unknown status "${values.status}", expected one of: ${STATUSES.join(', ')}`);
+            }
+
+            const hits = search(values.db || DB_FILE, query, {
+                chapter: values.chapter,
+                status: values.status,
+                limit: toNumber(values.limit, '--limit'),
+                raw: values.raw
+            });
+
+            if (values.json) {
+                console.log(JSON.stringify(hits, null, 2));
+                return;
+            }
+            for (const hit of hits) {
+                console.log(`${hit.citation}  ${hit.section_title}`);
+                console.log(`    ${hit.snippet}`);
+                console.log(`    ${hit.url}\n`);
+            }
+            console.log(`${hits.length} result${hits.length === 1 ? '' : 's'}`);
+        }
+    },
+    crossrefs: {
+        summary: 'Link the sections and chapters each section cites, and report references that do not resolve',
+        usage: 'ma-law crossrefs [--input massachusetts_general_laws.json] [--output file] [--unresolved crossrefs_unresolved.json]',
+        options: {
+            input: { type: 'string' },
+            output: { type: 'string' },
+            unresolved: { type: 'string', default: 'crossrefs_unresolved.json' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { linkCrossReferences } = require('./lib/crossrefs');
+            const { writeAtomic } = require('./lib/util');
+
+            const input = values.input || OUTPUT_FILE;
+            const output = values.output || input;
+            const laws = loadCorpus(input);
+            const { unresolved } = linkCrossReferences(laws);
+
+            // output is the input corpus unless given, so it is never left half written
+            writeAtomic(output, JSON.stringify(laws, null, 2));
+            writeAtomic(values.unresolved, JSON.stringify(unresolved, null, 2));
+            console.log(`Linked cross-references in ${output}`);
+            console.log(`${unresolved.length} unresolved references written to ${values.unresolved}`);
+        }
+    },
+    history: {
+        summary: 'List the session-law acts that changed a section, or when each section of a chapter last changed',
+        usage: 'ma-law history --chapter 186 [--section 15B] [--json] [--input massachusetts_general_laws.json]',
+        options: {
+            chapter: { type: 'string' },
+            section: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            input: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus, eachSection, sectionKey } = require('./lib/corpus');
+            const { actCitation, sectionHistory, lastChange } = require('./lib/history');
+
+            if (!values.chapter) {
+                throw new Error('--chapter is required');
+            }
+
+            const sections = [];
+            for (const entry of eachSection(loadCorpus(values.input || OUTPUT_FILE))) {
+                if (String(entry.chapter.chapter).toUpperCase() !== values.chapter.toUpperCase()) continue;
+                if (values.section && sectionKey(entry.chapter.chapter, entry.section.section) !== sectionKey(values.chapter, values.section)) continue;
+                sections.push(entry.section);
+            }
+            if (!sections.length) {
+                throw new Error(`c. ${values.chapter}${values.section ? `, § ${values.section}` : ''} is not in the corpus`);
+            }
+
+            const describe = record => `${record.action} by ${actCitation(record)}${record.effective ? `, effective ${record.effective}` : ''}`;
+
+            if (values.section) {
+                const history = sectionHistory(sections[0]);
+                if (values.json) {
+                    console.log(JSON.stringify(history, null, 2));
+                    return;
+                }
+                for (const record of history) {
+                    console.log(`${describe(record)}${record.url ? `  ${record.url}` : ''}`);
+                }
+                console.log(`${history.length} history record${history.length === 1 ? '' : 's'}`);
+                return;
+            }
+
+            const changes = sections.map(section => ({
+                section: section.section,
+                last_change: lastChange(sectionHistory(section))
+            }));
+            if (values.json) {
+                console.log(JSON.stringify(changes, null, 2));
+                return;
+            }
+            for (const { section, last_change: record } of changes) {
+                console.log(`c. ${values.chapter}, § ${section}  ${record ? describe(record) : 'no history notes'}`);
+            }
+        }
+    },
+    act: {
+        summary: 'Print an act or resolve from a Session Laws crawl, and the General Laws it changes',
+        usage: 'ma-law act "St. 2019, c. 41" [--resolve] [--json] [--input massachusetts_session_laws.json]',
+        options: {
+            resolve: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            input: { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const { SESSION_LAWS_FILE, loadSessionLaws, findAct, actSections } = require('./lib/sessionlaws');
+            const { parseAct } = require('./lib/history');
+
+            if (!positionals.length) {
+                throw new Error('Nothing to look up');
+            }
+            const citation = positionals.join(' ');
+            const act = parseAct(citation);
+            const record = findAct(loadSessionLaws(values.input || SESSION_LAWS_FILE), citation, values.resolve ? 'resolves' : 'acts');
+            if (!record) {
+                throw new Error(`${values.resolve ? 'Resolve' : 'Act'} ${act.year}, c. ${act.chapter} is not in the Session Laws file, crawl it with session-laws --years ${act.year}`);
+            }
+
+            if (values.json) {
+                console.log(JSON.stringify(record, null, 2));
+                return;
+            }
+            console.log(`${record.year}, c. ${record.chapter}  ${record.title}`);
+            console.log(`${record.approved ? `Approved ${record.approved}  ` : ''}${record.url}\n`);
+            for (const change of record.amends) {
+                const target = change.section ? `c. ${change.chapter}, § ${change.section}${change.through ? ` to ${change.through}` : ''}` : `c. ${change.chapter}`;
+                console.log(`  ${target} ${change.action}${change.act_section ? ` by SECTION ${change.act_section}` : ''}`);
+            }
+            if (record.amends.length) console.log('');
+
+            // "St. 2019, c. 41, § 2" prints just that SECTION of the act
+            if (act.section) {
+                const part = actSections(record.full_text).find(s => s.section === act.section);
+                if (!part) {
+                    throw new Error(`${act.year}, c. ${act.chapter} has no SECTION ${act.section}`);
+                }
+                console.log(part.text);
+                return;
+            }
+            console.log(record.full_text);
+        }
+    },
+    glossary: {
+        summary: 'Collect the terms defined in the corpus, with where each definition applies',
+        usage: 'ma-law glossary [--input massachusetts_general_laws.json] [--out massachusetts_general_laws_glossary.json]',
+        options: {
+            input: { type: 'string' },
+            out: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { GLOSSARY_FILE, exportGlossary } = require('./lib/definitions');
+
+            const out = values.out || GLOSSARY_FILE;
+            const glossary = exportGlossary(loadCorpus(values.input || OUTPUT_FILE), out);
+            const sections = new Set(glossary.map(entry => `${entry.chapter}:${entry.section}`));
+            console.log(`Wrote ${glossary.length} definitions from ${sections.size} sections to ${out}`);
+        }
+    },
+    define: {
+        summary: 'Show what a term means in a chapter or section',
+        usage: 'ma-law define <term> [--chapter 186] [--section 15B] [--json] [--input massachusetts_general_laws.json]',
+        options: {
+            chapter: { type: 'string' },
+            section: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            input: { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { extractDefinitions, lookupTerm } = require('./lib/definitions');
+
+            const term = positionals.join(' ');
+            if (!term) {
+                throw new Error('No term to look up');
+            }
+            if (values.section && !values.chapter) {
+                throw new Error('--section needs --chapter');
+            }
+
+            const glossary = extractDefinitions(loadCorpus(values.input || OUTPUT_FILE));
+            const found = lookupTerm(glossary, term, { chapter: values.chapter, section: values.section });
+
+            if (values.json) {
+                console.log(JSON.stringify(found, null, 2));
+                return;
+            }
+            const place = values.chapter ? ` in c. ${values.chapter}${values.section ? `, § ${values.section}` : ''}` : '';
+            if (!found.length) {
+                console.log(`No definition of "${term}"${place}`);
+                return;
+            }
+            for (const entry of found) {
+                const { sections } = entry.scope;
+                const scope = !sections ? 'the chapter'
+                    : sections.length === 1 ? `§ ${sections[0]}`
+                    : `§§ ${sections[0]}-${sections[sections.length - 1]}`;
+                console.log(`"${entry.term}"  c. ${entry.chapter}, § ${entry.section} (applies to ${scope})`);
+                console.log(`    ${entry.definition.replace(/\n\n/g, '\n    ')}\n`);
+            }
+        }
+    },
+    cite: {
+        summary: 'Print the section or constitutional article a citation names, from the corpus or live with --live',
+        usage: 'ma-law cite "M.G.L. c. 186, § 15B(1)" | "Mass. Const. art. 49" [--live] [--json] [--input massachusetts_general_laws.json]',
+        options: {
+            live: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            input: { type: 'string' }
+        },
+        run: async (values, positionals) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { parseCitation, formatCitation, resolveCitation } = require('./lib/citation');
+            const { renderProvision, isConstitutionChapter } = require('./lib/structure');
+            const { CONSTITUTION_FILE } = require('./lib/constitution');
+
+            if (!positionals.length) {
+                throw new Error('Nothing to look up');
+            }
+            const citation = parseCitation(positionals.join(' '));
+            const constitution = isConstitutionChapter(citation.chapter);
+
+            let record;
+            if (values.live) {
+                const { createClient } = require('.');
+                const client = createClient();
+                try {
+                    record = await client.getSection(citation);
+                } finally {
+                    await client.close();
+                }
+            } else {
+                record = resolveCitation(loadCorpus(values.input || (constitution ? CONSTITUTION_FILE : OUTPUT_FILE)), citation);
+                if (!record) {
+                    throw new Error(`${formatCitation(citation)} is not in the corpus, try --live`);
+                }
+            }
+            if (citation.path && !record.provision) {
+                throw new Error(`${formatCitation({ ...citation, path: '' })} has no provision ${citation.path}`);
+            }
+
+            if (values.json) {
+                console.log(JSON.stringify(record, null, 2));
+                return;
+            }
+            console.log(`${formatCitation(citation)}  ${record.section_title}`);
+            console.log(`${record.url}\n`);
+            const { provision } = record;
+            console.log(provision
+                ? renderProvision(provision, provision.path.slice(0, -`(${provision.label})`.length))
+                : record.full_text);
+        }
+    },
+    'cited-by': {
+        summary: 'List the sections that cite a section (run crossrefs first)',
+        usage: 'ma-law cited-by --chapter 186 [--section 15B] [--input massachusetts_general_laws.json]',
+        options: {
+            chapter: { type: 'string' },
+            section: { type: 'string' },
+            input: { type: 'string' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus, eachSection, sectionKey } = require('./lib/corpus');
+
+            if (!values.chapter) {
+                throw new Error('--chapter is required');
+            }
+
+            const laws = loadCorpus(values.input || OUTPUT_FILE);
+            let target;
+            for (const entry of eachSection(laws)) {
+                const matchesChapter = String(entry.chapter.chapter).toUpperCase() === values.chapter.toUpperCase();
+                if (values.section
+                    ? sectionKey(entry.chapter.chapter, entry.section.section) === sectionKey(values.chapter, values.section)
+                    : matchesChapter) {
+                    target = values.section ? entry.section : entry.chapter;
+                    break;
+                }
+            }
+
+            if (!target) {
+                throw new Error(`c. ${values.chapter}${values.section ? `, § ${values.section}` : ''} is not in the corpus`);
+            }
+            if (!target.references) {
+                throw new Error('No cross-references in the corpus, run crossrefs first');
+            }
+
+            for (const from of target.references.inbound) {
+                console.log(`c. ${from.chapter}, § ${from.section}`);
+            }
+            console.log(`${target.references.inbound.length} citing sections`);
+        }
+    },
+    serve: {
+        summary: 'Serve the corpus as a local JSON API',
+        usage: 'ma-law serve [--input massachusetts_general_laws.json] [--port 8080] [--host 127.0.0.1]',
+        options: {
+            input: { type: 'string' },
+            port: { type: 'string', default: '8080' },
+            host: { type: 'string', default: '127.0.0.1' }
+        },
+        run: async (values) => {
+            const { OUTPUT_FILE } = require('./lib/crawl');
+            const { loadCorpus } = require('./lib/corpus');
+            const { createServer } = require('./lib/server');
+
+            const server = createServer(loadCorpus(values.input || OUTPUT_FILE));
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(toNumber(values.port, '--port'), values.host, resolve);
+            });
+            console.log(`Serving the corpus at http://${values.host}:${server.address().port}/ (Ctrl+C to stop)`);
+        }
+    }
+};
+
+function toNumber(value, name) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new Error(`${name} must be a positive number`);
+    }
+    return number;
+}
+
+// --log-level and --log-format, before anything is logged
+function configureLogging(values) {
+    require('./lib/log').configureLogging({
+        level: values['log-level'],
+        format: values['log-format']
+    });
+}
+
+function printUsage() {
+    console.log('Usage: ma-law <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(14)}${command.summary}`);
+    }
+    console.log('\nRun "ma-law <command> --help" for the options of a command.');
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const [name, ...args] = argv;
+    const command = COMMANDS[name];
+    if (!command) {
+        if (name && name !== '--help' && name !== '-h') {
+            console.error(`Unknown command "${name}"\n`);
+            process.exitCode = 1;
+        }
+        printUsage();
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            options: { ...command.options, help: { type: 'boolean', short: 'h' } },
+            allowPositionals: true
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error(`Usage: ${command.usage}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (parsed.values.help) {
+        console.log(`Usage: ${command.usage}`);
+        return;
+    }
+
+    try {
+        await command.run(parsed.values, parsed.positionals);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    main
+};
+
+if (require.main === module) {
+    main();
+}
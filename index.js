@@ -0,0 +1,234 @@
+// Programmatic access to the Massachusetts General Laws on malegislature.gov.
+//
+//   const law = require('ma-law-scraper');
+//   const parts = await law.listParts();
+//   const section = await law.getSection('c. 186, § 15B');
+//   for await (const section of law.iterateCode({ chapter: '186' })) { ... }
+//   await law.close();
+//
+// The module-level functions share one client on the HTTP backend. Use
+// createClient() for a client with its own options (backend, cacheDir, rate,
+// concurrency, replay, ...); see README.md for the records each call returns.
+
+const { createBackend } = require('./lib/backends');
+const { DEFAULT_CONCURRENCY, mapPool } = require('./lib/pool');
+const { createScope, includesPart, includesTitle, includesChapter, selectSections } = require('./lib/scope');
+const { OUTPUT_FILE, sectionRecord, scrapeLaws, retryFailed } = require('./lib/crawl');
+const { parseCitation, formatCitation, sectionUrl, resolveCitation } = require('./lib/citation');
+const { findProvision, isConstitutionChapter } = require('./lib/structure');
+const { CONSTITUTION_URL, parseConstitution, scrapeConstitution } = require('./lib/constitution');
+const { configureLogging } = require('./lib/log');
+
+const sameNumber = (a, b) => String(a).toUpperCase() === String(b).toUpperCase();
+
+function createClient(options = {}) {
+    let backendPromise = null;
+    let partsPromise = null;
+    let constitutionPromise = null;
+    const titlesByPart = new Map();
+
+    function backend() {
+        if (!backendPromise) {
+            backendPromise = createBackend(options.backend, options);
+        }
+        return backendPromise;
+    }
+
+    // Parts of the code: [{ part, part_title, url }]
+    async function listParts() {
+        if (!partsPromise) {
+            partsPromise = backend().then(b => b.getParts());
+        }
+        return partsPromise;
+    }
+
+    async function findPart(part) {
+        const number = typeof part === 'object' ? part.part : part;
+        const found = (await listParts()).find(p => sameNumber(p.part, number));
+        if (!found) {
+            throw new Error(`Part ${number} not found`);
+        }
+        return found;
+    }
+
+    async function loadTitles(part) {
+        const found = await findPart(part);
+        if (!titlesByPart.has(found.part)) {
+            titlesByPart.set(found.part, backend().then(b => b.getTitles(found)));
+        }
+        return { part: found, titles: await titlesByPart.get(found.part) };
+    }
+
+    // Titles of a part ('II' or a part record): [{ part, title, title_name }]
+    async function listTitles(part) {
+        const loaded = await loadTitles(part);
+        return loaded.titles.map(title => ({
+            part: loaded.part.part,
+            title: title.title,
+            title_name: title.title_name
+        }));
+    }
+
+    // Chapters of a title ({ part: 'II', title: 'I' } or a record from
+    // listTitles): [{ part, title, chapter, chapter_title, url }]
+    async function listChapters(title) {
+        const loaded = await loadTitles(title.part);
+        const found = loaded.titles.find(t => sameNumber(t.title, title.title));
+        if (!found) {
+            throw new Error(`Title ${title.title} not found in Part ${loaded.part.part}`);
+        }
+        return found.chapters.map(chapter => ({
+            part: loaded.part.part,
+            title: found.title,
+            ...chapter
+        }));
+    }
+
+    // Walk the hierarchy for a chapter given only its number
+    async function findChapter(chapter) {
+        for (const part of await listParts()) {
+            for (const title of await listTitles(part)) {
+                const found = (await listChapters(title)).find(c => sameNumber(c.chapter, chapter));
+                if (found) return found;
+            }
+        }
+        throw new Error(`Chapter ${chapter} not found`);
+    }
+
+    // Sections of a chapter ('186' or a record from listChapters):
+    // [{ number, title, url }]
+    async function listSections(chapter) {
+        const found = typeof chapter === 'object' && chapter.url ? chapter : await findChapter(chapter);
+        return (await backend()).getSectionLinks(found.url);
+    }
+
+    async function fetchSection(chapter, link) {
+        const details = await (await backend()).getSectionDetails(link.url, link.number);
+        return {
+            part: chapter.part,
+            title: chapter.title,
+            chapter: chapter.chapter,
+            chapter_title: chapter.chapter_title,
+            ...sectionRecord(link, details)
+        };
+    }
+
+    // The Constitution as a corpus, read from its one page the first time an
+    // article is asked for
+    function loadConstitution() {
+        if (!constitutionPromise) {
+            constitutionPromise = backend()
+                .then(b => b.getConstitutionParagraphs(CONSTITUTION_URL))
+                .then(paragraphs => parseConstitution(paragraphs, CONSTITUTION_URL));
+        }
+        return constitutionPromise;
+    }
+
+    // One section with its text, by citation ("M.G.L. c. 186, § 15B",
+    // { chapter, section }, ...; see lib/citation.js). Only the section's own
+    // page is fetched, at its canonical URL. A citation to a provision, such
+    // as "c. 186, § 15B(1)", adds that provision as provision. Articles of the
+    // Constitution ("Mass. Const. art. 49") come back the same way.
+    async function getSection(citation) {
+        const { chapter, section, path } = parseCitation(citation);
+        if (isConstitutionChapter(chapter)) {
+            const record = resolveCitation(await loadConstitution(), { chapter, section, path });
+            if (!record) {
+                throw new Error(`${formatCitation({ chapter, section })} not found in the Constitution`);
+            }
+            return record;
+        }
+        const found = await findChapter(chapter);
+        const url = sectionUrl({ part: found.part, title: found.title, chapter: found.chapter, section });
+        const notFound = () => new Error(`Section ${section} not found in Chapter ${found.chapter}`);
+
+        let details;
+        try {
+            details = await (await backend()).getSectionDetails(url, section);
+        } catch (error) {
+            throw error.status === 404 ? notFound() : error;
+        }
+        // The site answers some unknown sections with an empty page
+        if (!details.section_title && !details.full_text) {
+            throw notFound();
+        }
+
+        const record = {
+            part: found.part,
+            title: found.title,
+            chapter: found.chapter,
+            chapter_title: found.chapter_title,
+            ...sectionRecord({ number: section, title: details.section_title, url }, details)
+        };
+        if (path) {
+            record.provision = findProvision(record.structure, path);
+        }
+        return record;
+    }
+
+    // Every section of the code in order, each as getSection() returns it.
+    // Takes the same part/title/chapter/sections scope as a crawl.
+    async function* iterateCode(scopeOptions = {}) {
+        const scope = createScope(scopeOptions);
+        for (const part of (await listParts()).filter(p => includesPart(scope, p))) {
+            for (const title of (await listTitles(part)).filter(t => includesTitle(scope, t))) {
+                for (const chapter of (await listChapters(title)).filter(c => includesChapter(scope, c))) {
+                    const links = selectSections(await listSections(chapter), scope.sections);
+                    // Fetch a chapter at a time through the worker pool, then hand
+                    // the sections out in order
+                    const sections = await mapPool(
+                        links,
+                        options.concurrency || DEFAULT_CONCURRENCY,
+                        link => fetchSection(chapter, link)
+                    );
+                    yield* sections;
+                }
+            }
+        }
+    }
+
+    async function close() {
+        if (backendPromise) {
+            const b = await backendPromise;
+            backendPromise = null;
+            await b.close();
+        }
+    }
+
+    return {
+        listParts,
+        listTitles,
+        listChapters,
+        listSections,
+        getSection,
+        iterateCode,
+        close
+    };
+}
+
+let defaultClient = null;
+const client = () => (defaultClient = defaultClient || createClient());
+
+module.exports = {
+    createClient,
+    listParts: () => client().listParts(),
+    listTitles: (part) => client().listTitles(part),
+    listChapters: (title) => client().listChapters(title),
+    listSections: (chapter) => client().listSections(chapter),
+    getSection: (citation) => client().getSection(citation),
+    iterateCode: (scope) => client().iterateCode(scope),
+    close: async () => {
+        if (defaultClient) {
+            await defaultClient.close();
+            defaultClient = null;
+        }
+    },
+    scrapeLaws,
+    retryFailed,
+    scrapeConstitution,
+    configureLogging,
+    parseCitation,
+    formatCitation,
+    resolveCitation,
+    OUTPUT_FILE
+};
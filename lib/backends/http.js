@@ -0,0 +1,176 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { BASE_URL, retryOperation } = require('../util');
+const { HttpStatusError, errorType } = require('../errors');
+const { log } = require('../log');
+const { createThrottle, parseRetryAfter } = require('../throttle');
+const { DEFAULT_CONCURRENCY } = require('../pool');
+const { createRecordingTransport } = require('../fixtures');
+const { createHttpCache, createCachingTransport } = require('../cache');
+const {
+    extractParts,
+    extractTitlePanels,
+    extractChapters,
+    extractSectionLinks,
+    extractSectionParagraphs,
+    extractSectionBody,
+    extractSessionLawLinks,
+    extractSessionLawPage
+} = require('../extract');
+
+// The endpoint accordionAjaxLoad(partId, titleId, code) calls to fill in a
+// title's chapter list on the part pages
+const TITLE_CHAPTERS_URL = 'https://malegislature.gov/GeneralLaws/GetChaptersForTitle';
+
+// The default transport: GET requests over kept-alive connections, one
+// socket per worker. A transport is { get(url, params), close() } where get
+// resolves to the page's HTML and rejects with HttpStatusError on a bad status.
+// This one also offers request(url, params, headers), which resolves to the
+// whole response and lets a 304 through, for lib/cache.js to revalidate with.
+function createAxiosTransport(options = {}) {
+    const maxSockets = options.concurrency || DEFAULT_CONCURRENCY;
+    const client = axios.create({
+        timeout: options.timeout || 30000,
+        responseType: 'text',
+        httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+        httpsAgent: new https.Agent({ keepAlive: true, maxSockets }),
+        headers: {
+            'User-Agent': options.userAgent || 'ma-law-scraper'
+        },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    async function request(url, params, headers = {}) {
+        try {
+            return await client.get(url, { params, headers });
+        } catch (error) {
+            if (error.response) {
+                throw new HttpStatusError(
+                    error.response.status,
+                    url,
+                    parseRetryAfter(error.response.headers['retry-after'])
+                );
+            }
+            throw error;
+        }
+    }
+
+    return {
+        request,
+        get: async (url, params) => (await request(url, params)).data,
+        close: async () => {
+            client.defaults.httpAgent.destroy();
+            client.defaults.httpsAgent.destroy();
+        }
+    };
+}
+
+// Fetches pages over plain HTTP and parses them with cheerio. options.cacheDir
+// keeps fetched pages on disk and revalidates them on later runs (see
+// lib/cache.js); options.record saves every page fetched into a fixture
+// directory; options.transport replaces the network altogether (see
+// lib/fixtures.js).
+function createHttpBackend(options = {}) {
+    const throttle = options.throttle || createThrottle({ requestsPerSecond: options.rate });
+    let transport = options.transport || createAxiosTransport(options);
+    if (options.cacheDir) {
+        transport = createCachingTransport(transport, createHttpCache(options.cacheDir), {
+            maxAge: options.cacheMaxAge
+        });
+    }
+    if (options.record) {
+        transport = createRecordingTransport(transport, options.record);
+    }
+
+    async function fetchPage(url, params) {
+        // Pages the cache can answer without asking the server skip the throttle
+        const fresh = transport.fresh ? transport.fresh(url, params) : null;
+        if (fresh !== null) {
+            return fresh;
+        }
+        return retryOperation(() => throttle.schedule(() => transport.get(url, params)));
+    }
+
+    async function getParts() {
+        log.debug('Getting parts...');
+        const parts = extractParts(await fetchPage(BASE_URL), BASE_URL);
+        log.debug(`Found ${parts.length} parts`);
+        return parts;
+    }
+
+    async function getTitles(part) {
+        const panels = extractTitlePanels(await fetchPage(part.url));
+        const titles = [];
+
+        for (const panel of panels) {
+            try {
+                const fragment = await fetchPage(TITLE_CHAPTERS_URL, {
+                    partId: panel.partId,
+                    titleId: panel.titleId,
+                    code: panel.code
+                });
+                titles.push({
+                    title: panel.title,
+                    title_name: panel.title_name,
+                    chapters: extractChapters(fragment, part.url)
+                });
+            } catch (error) {
+                log.error(`Error processing title: ${error.message}`, { error_type: errorType(error) });
+            }
+        }
+
+        return titles;
+    }
+
+    async function getSectionLinks(chapterUrl) {
+        log.debug(`Getting sections from: ${chapterUrl}`, { url: chapterUrl });
+        const sections = extractSectionLinks(await fetchPage(chapterUrl), chapterUrl);
+        log.debug(`Found ${sections.length} sections`, { url: chapterUrl, sections: sections.length });
+        return sections;
+    }
+
+    async function getSectionDetails(sectionUrl, sectionNumber) {
+        return {
+            section: sectionNumber,
+            ...extractSectionBody(await fetchPage(sectionUrl)),
+            url: sectionUrl
+        };
+    }
+
+    // Acts or resolves listed on a Session Laws year page: [{ chapter, title, url }]
+    async function getSessionLawLinks(yearUrl) {
+        log.debug(`Getting session laws from: ${yearUrl}`, { url: yearUrl });
+        const links = extractSessionLawLinks(await fetchPage(yearUrl), yearUrl);
+        log.debug(`Found ${links.length} chapters`, { url: yearUrl, chapters: links.length });
+        return links;
+    }
+
+    async function getSessionLawDetails(url) {
+        return { ...extractSessionLawPage(await fetchPage(url)), url };
+    }
+
+    // The Constitution is one page; its paragraphs in order, headings included
+    async function getConstitutionParagraphs(url) {
+        log.info(`Getting the Constitution from: ${url}`, { url });
+        return extractSectionParagraphs(await fetchPage(url));
+    }
+
+    return {
+        name: 'http',
+        getParts,
+        getTitles,
+        getSectionLinks,
+        getSectionDetails,
+        getSessionLawLinks,
+        getSessionLawDetails,
+        getConstitutionParagraphs,
+        close: () => transport.close()
+    };
+}
+
+module.exports = {
+    TITLE_CHAPTERS_URL,
+    createAxiosTransport,
+    createHttpBackend
+};
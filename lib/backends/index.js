@@ -0,0 +1,44 @@
+const { createHttpBackend } = require('./http');
+const { createReplayTransport } = require('../fixtures');
+
+const BACKENDS = ['http', 'puppeteer'];
+
+// Every backend exposes getParts(), getTitles(part), getSectionLinks(url),
+// getSectionDetails(url, number), getSessionLawLinks(yearUrl),
+// getSessionLawDetails(url), getConstitutionParagraphs(url) and close(). A
+// page that can't be fetched rejects with the error, an HttpStatusError for a
+// bad status (see lib/errors.js), rather than coming back empty. options.replay serves the HTTP
+// backend from a fixture directory instead of the site, and options.record
+// saves what the HTTP backend fetches into one.
+async function createBackend(name = 'http', options = {}) {
+    if (options.replay) {
+        return {
+            ...createHttpBackend({
+                ...options,
+                record: null,
+                cacheDir: null,
+                rate: Infinity,
+                transport: createReplayTransport(options.replay)
+            }),
+            name: 'replay'
+        };
+    }
+
+    switch (name) {
+        case 'http':
+            return createHttpBackend(options);
+        case 'puppeteer':
+            if (options.record) {
+                throw new Error('Recording fixtures needs the http backend');
+            }
+            // Loaded lazily so the HTTP backend works without Chromium installed
+            return require('./puppeteer').createPuppeteerBackend(options);
+        default:
+            throw new Error(`Unknown backend "${name}", expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    BACKENDS,
+    createBackend
+};
@@ -0,0 +1,233 @@
+const puppeteer = require('puppeteer');
+const { BASE_URL, delay, retryOperation } = require('../util');
+const { HttpStatusError, errorType } = require('../errors');
+const { log } = require('../log');
+const { createThrottle, parseRetryAfter } = require('../throttle');
+const { DEFAULT_CONCURRENCY } = require('../pool');
+const {
+    extractParts,
+    extractTitlePanels,
+    extractChapters,
+    extractSectionLinks,
+    extractSectionParagraphs,
+    extractSectionBody,
+    extractSessionLawLinks,
+    extractSessionLawPage
+} = require('../extract');
+
+// A fixed set of tabs handed out to workers and reused, instead of opening and
+// closing a tab for every page
+function createPagePool(browser, size) {
+    const idle = [];
+    const waiting = [];
+    const pages = [];
+
+    async function acquire() {
+        if (idle.length) return idle.pop();
+        if (pages.length < size) {
+            const page = await browser.newPage();
+            pages.push(page);
+            return page;
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    function release(page) {
+        const next = waiting.shift();
+        if (next) {
+            next(page);
+        } else {
+            idle.push(page);
+        }
+    }
+
+    async function use(fn) {
+        const page = await acquire();
+        try {
+            return await fn(page);
+        } finally {
+            release(page);
+        }
+    }
+
+    return { use };
+}
+
+// Drives a headless Chromium through the site, for when the plain HTTP
+// backend can't get at a page
+async function createPuppeteerBackend(options = {}) {
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        protocolTimeout: 30000,
+        timeout: 30000
+    });
+    const pagePool = createPagePool(browser, options.concurrency || DEFAULT_CONCURRENCY);
+    const throttle = options.throttle || createThrottle({ requestsPerSecond: options.rate });
+
+    async function goto(page, url) {
+        return throttle.schedule(async () => {
+            const response = await page.goto(url, {
+                waitUntil: 'networkidle0',
+                timeout: 30000
+            });
+            if (response && response.status() >= 400) {
+                throw new HttpStatusError(
+                    response.status(),
+                    url,
+                    parseRetryAfter(response.headers()['retry-after'])
+                );
+            }
+            return response;
+        });
+    }
+
+    async function getParts() {
+        const page = await browser.newPage();
+        try {
+            log.debug('Getting parts...');
+            await goto(page, BASE_URL);
+            await delay(2000); // Wait for any animations to complete
+
+            await page.waitForSelector('.generalLawsList');
+
+            const parts = extractParts(await page.content(), BASE_URL);
+            log.debug(`Found ${parts.length} parts`);
+            return parts;
+        } finally {
+            await page.close();
+        }
+    }
+
+    async function getTitles(part) {
+        const page = await browser.newPage();
+        try {
+            // Set up once for the page, not again on each attempt
+            await page.setDefaultNavigationTimeout(30000);
+            await page.setDefaultTimeout(30000);
+
+            page.on('error', err => {
+                log.warn(`Page error: ${err.message || err}`, { url: part.url });
+            });
+
+            page.on('pageerror', err => {
+                log.warn(`Page error: ${err.message || err}`, { url: part.url });
+            });
+
+            return await retryOperation(async () => {
+                await goto(page, part.url);
+                await page.waitForSelector('#accordion', { timeout: 10000 });
+                await delay(2000);
+
+                const panels = extractTitlePanels(await page.content());
+                const titleElements = await page.$$('#accordion .panel');
+                const titles = [];
+
+                for (const panel of panels) {
+                    try {
+                        const titleElement = titleElements[panel.index];
+
+                        // Call the accordionAjaxLoad function directly
+                        await page.evaluate((partId, titleId, code) => {
+                            accordionAjaxLoad(partId, titleId, code);
+                        }, panel.partId, panel.titleId, panel.code);
+
+                        // Wait for the chapters to be loaded
+                        await page.waitForFunction(
+                            (element) => {
+                                const list = element.querySelector('.generalLawsList');
+                                return list && list.children.length > 0;
+                            },
+                            { timeout: 10000 },
+                            titleElement
+                        );
+
+                        const panelHtml = await page.evaluate(element => element.outerHTML, titleElement);
+                        titles.push({
+                            title: panel.title,
+                            title_name: panel.title_name,
+                            chapters: extractChapters(panelHtml, part.url)
+                        });
+                    } catch (error) {
+                        log.error(`Error processing title: ${error.message}`, { error_type: errorType(error) });
+                        continue;
+                    }
+                }
+
+                return titles;
+            });
+        } finally {
+            await page.close();
+        }
+    }
+
+    async function getSectionLinks(chapterUrl) {
+        return pagePool.use(page => retryOperation(async () => {
+            log.debug(`Getting sections from: ${chapterUrl}`, { url: chapterUrl });
+            await goto(page, chapterUrl);
+            await page.waitForSelector('ul.generalLawsList', { timeout: 10000 });
+
+            const sections = extractSectionLinks(await page.content(), chapterUrl);
+            log.debug(`Found ${sections.length} sections`, { url: chapterUrl, sections: sections.length });
+            return sections;
+        }));
+    }
+
+    async function getSectionDetails(sectionUrl, sectionNumber) {
+        return pagePool.use(page => retryOperation(async () => {
+            await goto(page, sectionUrl);
+            await page.waitForSelector('.col-xs-12.col-md-8', { timeout: 10000 });
+
+            return {
+                section: sectionNumber,
+                ...extractSectionBody(await page.content()),
+                url: sectionUrl
+            };
+        }));
+    }
+
+    async function getSessionLawLinks(yearUrl) {
+        return pagePool.use(page => retryOperation(async () => {
+            log.debug(`Getting session laws from: ${yearUrl}`, { url: yearUrl });
+            await goto(page, yearUrl);
+            await page.waitForSelector('.col-xs-12.col-md-8', { timeout: 10000 });
+
+            const links = extractSessionLawLinks(await page.content(), yearUrl);
+            log.debug(`Found ${links.length} chapters`, { url: yearUrl, chapters: links.length });
+            return links;
+        }));
+    }
+
+    async function getSessionLawDetails(url) {
+        return pagePool.use(page => retryOperation(async () => {
+            await goto(page, url);
+            await page.waitForSelector('.col-xs-12.col-md-8', { timeout: 10000 });
+            return { ...extractSessionLawPage(await page.content()), url };
+        }));
+    }
+
+    async function getConstitutionParagraphs(url) {
+        return pagePool.use(page => retryOperation(async () => {
+            log.info(`Getting the Constitution from: ${url}`, { url });
+            await goto(page, url);
+            await page.waitForSelector('.col-xs-12.col-md-8', { timeout: 10000 });
+            return extractSectionParagraphs(await page.content());
+        }));
+    }
+
+    return {
+        name: 'puppeteer',
+        getParts,
+        getTitles,
+        getSectionLinks,
+        getSectionDetails,
+        getSessionLawLinks,
+        getSessionLawDetails,
+        getConstitutionParagraphs,
+        close: () => browser.close()
+    };
+}
+
+module.exports = {
+    createPuppeteerBackend
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeAtomic } = require('./util');
+
+const CACHE_DIR = path.join('.cache', 'http');
+
+// Layout of a cache directory:
+//   index/<sha256 of URL>.json      url, fetched_at, validated_at, etag,
+//                                   last_modified, hash, size
+//   bodies/<ab>/<sha256 of body>.html
+// Bodies are stored by content, so pages that come back unchanged, or that
+// several URLs share, are kept once.
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// The URL a request goes to, query parameters included, as the cache key
+function requestUrl(url, params = {}) {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(params || {})) {
+        target.searchParams.set(key, value);
+    }
+    return target.href;
+}
+
+function createHttpCache(dir = CACHE_DIR) {
+    const indexDir = path.join(dir, 'index');
+    const bodyDir = path.join(dir, 'bodies');
+    const entryFile = (url) => path.join(indexDir, `${sha256(url)}.json`);
+    const bodyFile = (hash) => path.join(bodyDir, hash.slice(0, 2), `${hash}.html`);
+
+    function lookup(url) {
+        const file = entryFile(url);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    // null when the body has been pruned out from under its entry
+    function readBody(entry) {
+        const file = bodyFile(entry.hash);
+        return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    }
+
+    function store(url, body, headers = {}) {
+        const hash = sha256(body);
+        const file = bodyFile(hash);
+        if (!fs.existsSync(file)) {
+            writeAtomic(file, body);
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            url,
+            fetched_at: now,
+            validated_at: now,
+            etag: headers.etag || null,
+            last_modified: headers['last-modified'] || null,
+            hash,
+            size: Buffer.byteLength(body)
+        };
+        writeAtomic(entryFile(url), JSON.stringify(entry, null, 2));
+        return entry;
+    }
+
+    // The server confirmed the cached body is still current
+    function revalidated(entry) {
+        const updated = { ...entry, validated_at: new Date().toISOString() };
+        writeAtomic(entryFile(entry.url), JSON.stringify(updated, null, 2));
+        return updated;
+    }
+
+    function entries() {
+        if (!fs.existsSync(indexDir)) return [];
+        return fs.readdirSync(indexDir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => JSON.parse(fs.readFileSync(path.join(indexDir, name), 'utf8')));
+    }
+
+    function bodyFiles() {
+        if (!fs.existsSync(bodyDir)) return [];
+        return fs.readdirSync(bodyDir).flatMap(prefix =>
+            fs.readdirSync(path.join(bodyDir, prefix)).map(name => path.join(bodyDir, prefix, name)));
+    }
+
+    function stats() {
+        const all = entries();
+        const validated = all.map(e => e.validated_at).sort();
+        const bodies = bodyFiles();
+        return {
+            entries: all.length,
+            bodies: bodies.length,
+            bytes: bodies.reduce((total, file) => total + fs.statSync(file).size, 0),
+            oldest: validated[0] || null,
+            newest: validated[validated.length - 1] || null
+        };
+    }
+
+    // Drop entries not validated within olderThan milliseconds (every entry
+    // when olderThan is not given), then any body no entry points at
+    function prune(olderThan) {
+        const cutoff = olderThan === undefined ? Infinity : Date.now() - olderThan;
+        const kept = new Set();
+        let removedEntries = 0;
+
+        for (const entry of entries()) {
+            if (olderThan === undefined || Date.parse(entry.validated_at) < cutoff) {
+                fs.rmSync(entryFile(entry.url), { force: true });
+                removedEntries++;
+            } else {
+                kept.add(entry.hash);
+            }
+        }
+
+        let removedBodies = 0;
+        for (const file of bodyFiles()) {
+            if (!kept.has(path.basename(file, '.html'))) {
+                fs.rmSync(file, { force: true });
+                removedBodies++;
+            }
+        }
+
+        return { entries: removedEntries, bodies: removedBodies };
+    }
+
+    return {
+        dir,
+        lookup,
+        readBody,
+        store,
+        revalidated,
+        entries,
+        stats,
+        prune
+    };
+}
+
+// Wrap a transport with the cache. A cached page is sent back to the server
+// with If-None-Match / If-Modified-Since and reused on a 304. Pages validated
+// within options.maxAge milliseconds are served by fresh() without a request.
+function createCachingTransport(transport, cache, options = {}) {
+    const maxAge = options.maxAge || 0;
+
+    function fresh(url, params) {
+        if (!maxAge) return null;
+        const entry = cache.lookup(requestUrl(url, params));
+        if (!entry || Date.now() - Date.parse(entry.validated_at) > maxAge) return null;
+        return cache.readBody(entry);
+    }
+
+    async function get(url, params) {
+        const key = requestUrl(url, params);
+        const entry = cache.lookup(key);
+        const body = entry ? cache.readBody(entry) : null;
+
+        if (!transport.request) {
+            const html = await transport.get(url, params);
+            cache.store(key, html);
+            return html;
+        }
+
+        const headers = {};
+        if (body !== null) {
+            if (entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+        }
+
+        const response = await transport.request(url, params, headers);
+        if (response.status === 304 && body !== null) {
+            cache.revalidated(entry);
+            return body;
+        }
+
+        cache.store(key, response.data, response.headers);
+        return response.data;
+    }
+
+    return {
+        get,
+        fresh,
+        close: () => transport.close()
+    };
+}
+
+module.exports = {
+    CACHE_DIR,
+    requestUrl,
+    createHttpCache,
+    createCachingTransport
+};
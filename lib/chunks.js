@@ -0,0 +1,173 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { eachSection } = require('./corpus');
+const { sectionStatus } = require('./status');
+const { parseStructure, provisionText, renderProvision, provisionCitation } = require('./structure');
+
+// Sections split into passages for a retrieval index, one JSON object per line:
+//   { id, citation, provision, chunk, part, title, chapter, chapter_title,
+//     section, section_title, status, url, text }
+// A section that fits in maxLength is one chunk. A longer one is split
+// between its provisions, packing neighbouring provisions together while they
+// fit; a single provision longer than maxLength is cut into windows that
+// share `overlap` characters. provision is the path of the provision a chunk
+// starts in, such as "(1)(a)", or null for the section's opening text.
+//
+// id is derived from the citation of the provision a chunk starts in and the
+// chunk's place among those starting there, so re-exporting a section after
+// an amendment reuses the ids of the passages it still has. The count runs on
+// through the chapter, so a section number the site lists twice gets its
+// second copy's chunks numbered after the first's rather than the same ids.
+
+const CHUNKS_FILE = 'massachusetts_general_laws.chunks.jsonl';
+const MAX_LENGTH = 2000;
+// The overlap when none is given, cut to a tenth of a smaller maxLength
+const OVERLAP = 200;
+
+// The section as a list of { provision, text } pieces, each a whole provision
+// where that fits in maxLength and split into its children where it doesn't
+function provisionPieces(node, maxLength, lead = '') {
+    const text = renderProvision(node, lead);
+    if (text.length <= maxLength || !node.children.length) {
+        return text ? [{ provision: node.path || null, text }] : [];
+    }
+    const own = provisionText(lead, node);
+    if (!node.text) {
+        const [first, ...rest] = node.children;
+        return [
+            ...provisionPieces(first, maxLength, own),
+            ...rest.flatMap(child => provisionPieces(child, maxLength))
+        ];
+    }
+    return [
+        { provision: node.path || null, text: own },
+        ...node.children.flatMap(child => provisionPieces(child, maxLength))
+    ];
+}
+
+// Cut text into windows of at most maxLength that overlap by about `overlap`
+// characters, breaking after a sentence where one is close and between words
+// otherwise
+function splitText(text, maxLength, overlap) {
+    const windows = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + maxLength, text.length);
+        if (end < text.length) {
+            const slice = text.slice(start, end);
+            const sentence = slice.search(/[.;:]\s[^.;:]*$/);
+            const space = slice.lastIndexOf(' ');
+            if (sentence > maxLength / 2) {
+                end = start + sentence + 1;
+            } else if (space > overlap) {
+                end = start + space;
+            }
+        }
+        windows.push(text.slice(start, end).trim());
+        if (end >= text.length) break;
+
+        let next = Math.max(end - overlap, start + 1);
+        const space = text.indexOf(' ', next);
+        if (overlap > 0 && space !== -1 && space < end) next = space + 1;
+        start = overlap > 0 ? next : end;
+    }
+    return windows.filter(Boolean);
+}
+
+// [{ provision, text }] passages of one section
+function chunkSection(section, options = {}) {
+    const maxLength = options.maxLength || MAX_LENGTH;
+    const overlap = options.overlap ?? Math.min(OVERLAP, Math.floor(maxLength / 10));
+    if (overlap >= maxLength) {
+        throw new Error('The overlap must be shorter than the maximum length');
+    }
+
+    const structure = section.structure
+        || parseStructure((section.full_text || '').split(/\n{2,}/).filter(p => p.trim()));
+    const chunks = [];
+    let current = null;
+    const flush = () => {
+        if (current) chunks.push(current);
+        current = null;
+    };
+
+    for (const piece of provisionPieces(structure, maxLength)) {
+        if (piece.text.length > maxLength) {
+            flush();
+            chunks.push(...splitText(piece.text, maxLength, overlap).map(text => ({ provision: piece.provision, text })));
+        } else if (current && current.text.length + 2 + piece.text.length <= maxLength) {
+            current.text += '\n\n' + piece.text;
+        } else {
+            flush();
+            current = { ...piece };
+        }
+    }
+    flush();
+    return chunks;
+}
+
+function chunkId(citation, n) {
+    return crypto.createHash('sha1').update(`${citation}#${n}`).digest('hex').slice(0, 20);
+}
+
+// Every chunk of the corpus, in code order
+function* corpusChunks(laws, options = {}) {
+    let seen = new Map();
+    let seenIn = null;
+    for (const { part, title, chapter, section } of eachSection(laws)) {
+        if (chapter !== seenIn) {
+            seen = new Map();
+            seenIn = chapter;
+        }
+        for (const chunk of chunkSection(section, options)) {
+            const citation = provisionCitation(chapter.chapter, section.section, chunk.provision || '');
+            const n = seen.get(citation) || 0;
+            seen.set(citation, n + 1);
+            yield {
+                id: chunkId(citation, n),
+                citation,
+                provision: chunk.provision,
+                chunk: n,
+                part: part.part,
+                title: title.title,
+                chapter: chapter.chapter,
+                chapter_title: chapter.chapter_title ?? null,
+                section: section.section,
+                section_title: section.section_title ?? null,
+                status: sectionStatus(section),
+                url: section.url ?? null,
+                text: chunk.text
+            };
+        }
+    }
+}
+
+// Write the chunks as JSONL. Like the SQLite export it is written beside the
+// target and moved into place. Returns the number of chunks.
+function exportChunks(laws, file = CHUNKS_FILE, options = {}) {
+    const tmpFile = `${file}.tmp`;
+    const fd = fs.openSync(tmpFile, 'w');
+    let count = 0;
+    try {
+        for (const chunk of corpusChunks(laws, options)) {
+            fs.writeSync(fd, JSON.stringify(chunk) + '\n');
+            count++;
+        }
+    } catch (error) {
+        fs.closeSync(fd);
+        fs.rmSync(tmpFile, { force: true });
+        throw error;
+    }
+    fs.closeSync(fd);
+    fs.renameSync(tmpFile, file);
+    return count;
+}
+
+module.exports = {
+    CHUNKS_FILE,
+    MAX_LENGTH,
+    OVERLAP,
+    chunkSection,
+    corpusChunks,
+    exportChunks
+};
@@ -0,0 +1,137 @@
+const { BASE_URL } = require('./util');
+const { eachSection, sectionKey } = require('./corpus');
+const { findProvision, provisionCitation } = require('./structure');
+const { romanToNumber } = require('./numbering');
+
+// Citations to the General Laws as people write them:
+//   M.G.L. c. 186, § 15B(1)     G.L. c.93A §2       Chapter 186 Section 14
+//   Mass. Gen. Laws ch. 186, § 15B                  MGL c 186 s 15B
+//   c. 186, § 2½                186 15B             { chapter, section }
+// and to the Constitution, whose articles are kept as sections of chapters
+// named for where they are (see provisionCitation() in lib/structure.js):
+//   Mass. Const. art. 49        Mass. Const. amend. art. XLIX
+//   Mass. Const. Pt. 1, art. 12 Declaration of Rights, art. 12
+//   Mass. Const. Pt. 2, c. 1, § 1, art. 4               art. 49 of the Amendments
+// parseCitation() reads them as { chapter, section, path }, formatCitation()
+// writes the "c. 186, § 15B(1)" form used throughout this package, and
+// sectionUrl() builds the page's address on malegislature.gov.
+
+// The name of the code, ahead of the chapter
+const CODE_PREFIX = String.raw`(?:(?:the\s+)?(?:Massachusetts\s+)?General\s+Laws|Mass\.?\s*Gen\.?\s*Laws(?:\s+Ann\.?)?|ALM\s+G\.?\s*L\.?|M\.?\s*G\.?\s*L\.?(?:\s*A\.?)?|G\.?\s*L\.?)`;
+const CHAPTER = String.raw`(?:c|ch|chap|chapter)\.?`;
+const SECTION = String.raw`(?:§§?|s|sec|sect|section)\.?`;
+const CHAPTER_NUMBER = String.raw`\d+[A-Z]{0,3}`;
+const SECTION_NUMBER = String.raw`\d+[A-Z]{0,3}(?:\s?½|\s1\/2)?`;
+const PATH = String.raw`(?:\s?\([0-9a-zA-Z]{1,4}\))*`;
+
+const CITATION = new RegExp(
+    String.raw`^\s*(?:${CODE_PREFIX}\s*,?\s*)?(?:${CHAPTER}\s*)?(${CHAPTER_NUMBER})` +
+    String.raw`\s*(?:,\s*|\s+|(?=${SECTION}))(?:${SECTION}\s*)?(${SECTION_NUMBER})(${PATH})\s*\.?\s*$`,
+    'i'
+);
+
+const CONSTITUTION = String.raw`(?:Mass(?:achusetts)?\.?\s*Const(?:itution)?\.?|(?:the\s+)?(?:Massachusetts\s+)?Constitution)\s*,?\s*`;
+const DECLARATION = String.raw`(?:(?:pt|part)\.?\s*(?:1|I|the\s+first)|(?:the\s+)?Declaration\s+of\s+Rights)\s*,?\s*`;
+const AMENDMENTS = String.raw`(?:amend(?:ment)?s?\.?|(?:the\s+)?Articles\s+of\s+Amendment)\s*,?\s*`;
+const ARTICLE = String.raw`(?:arts?|article)\.?\s*(\d+|[IVXLC]+)(${PATH})`;
+const END = String.raw`\s*\.?\s*$`;
+
+// "XLIX" or "49" -> "49"
+const arabic = (number) => /^\d+$/.test(number) ? String(Number(number)) : String(romanToNumber(number));
+
+// [pattern, the chapter it names]. An article number with nothing else is one
+// of the Articles of Amendment, which is how "Mass. Const. art. 49" is meant.
+const CONSTITUTION_CITATIONS = [
+    [new RegExp(String.raw`^\s*(?:${CONSTITUTION})?${DECLARATION}${ARTICLE}${END}`, 'i'), () => 'PT1'],
+    [new RegExp(
+        String.raw`^\s*(?:${CONSTITUTION})?(?:pt|part)\.?\s*(?:2|II|the\s+second)\s*,?\s*${CHAPTER}\s*(\d+|[IVX]+)\s*,?\s*` +
+        String.raw`(?:${SECTION}\s*(\d+|[IVX]+)\s*,?\s*)?${ARTICLE}${END}`, 'i'
+    ), ([chapter, section]) => `PT2C${arabic(chapter)}${section ? `S${arabic(section)}` : ''}`],
+    [new RegExp(String.raw`^\s*(?:${CONSTITUTION}(?:${AMENDMENTS})?|${AMENDMENTS})${ARTICLE}${END}`, 'i'), () => 'AMEND'],
+    [new RegExp(String.raw`^\s*${ARTICLE}\s+of\s+the\s+Declaration\s+of\s+Rights${END}`, 'i'), () => 'PT1'],
+    [new RegExp(String.raw`^\s*${ARTICLE}\s+of\s+the\s+(?:Articles\s+of\s+)?Amendments?(?:\s+to\s+the\s+(?:Massachusetts\s+)?Constitution)?${END}`, 'i'), () => 'AMEND']
+];
+
+// { chapter, section, path } for a citation to the Constitution, or null
+function parseConstitutionCitation(text) {
+    for (const [pattern, chapter] of CONSTITUTION_CITATIONS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const [article, path] = match.slice(-2);
+        return {
+            chapter: chapter(match.slice(1)),
+            section: arabic(article),
+            path: path.replace(/\s/g, '')
+        };
+    }
+    return null;
+}
+
+// "c. 186, § 15B(1)" -> { chapter: '186', section: '15B', path: '(1)' }.
+// Takes a { chapter, section, path } object as it is.
+function parseCitation(citation) {
+    if (typeof citation === 'object' && citation !== null) {
+        return {
+            chapter: String(citation.chapter).toUpperCase(),
+            section: String(citation.section).toUpperCase(),
+            path: citation.path || ''
+        };
+    }
+    const constitution = parseConstitutionCitation(String(citation));
+    if (constitution) {
+        return constitution;
+    }
+    const match = String(citation).match(CITATION);
+    if (!match) {
+        throw new Error(`Cannot read "${citation}" as a citation, expected something like "c. 186, § 15B"`);
+    }
+    return {
+        chapter: match[1].toUpperCase(),
+        section: match[2].replace(/\s?1\/2$/, '½').replace(/\s/g, '').toUpperCase(),
+        path: match[3].replace(/\s/g, '')
+    };
+}
+
+function formatCitation(citation) {
+    const { chapter, section, path } = parseCitation(citation);
+    return provisionCitation(chapter, section, path);
+}
+
+// https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186, from
+// the part and title the chapter is in
+function chapterUrl({ part, title, chapter }) {
+    return `${BASE_URL}/Part${part}/Title${title}/Chapter${encodeURIComponent(chapter)}`;
+}
+
+function sectionUrl({ part, title, chapter, section }) {
+    return `${chapterUrl({ part, title, chapter })}/Section${encodeURIComponent(section)}`;
+}
+
+// The section a citation names in a scraped corpus, as getSection() returns
+// it, or null when the corpus doesn't have it. A citation to a provision,
+// such as "c. 186, § 15B(1)(a)", adds that provision of the structure as
+// provision (null when the section has no such provision).
+function resolveCitation(laws, citation) {
+    const { chapter, section, path } = parseCitation(citation);
+    const key = sectionKey(chapter, section);
+    for (const entry of eachSection(laws)) {
+        if (sectionKey(entry.chapter.chapter, entry.section.section) !== key) continue;
+        return {
+            part: entry.part.part,
+            title: entry.title.title,
+            chapter: entry.chapter.chapter,
+            chapter_title: entry.chapter.chapter_title,
+            ...entry.section,
+            ...(path ? { provision: entry.section.structure ? findProvision(entry.section.structure, path) : null } : {})
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    parseCitation,
+    formatCitation,
+    chapterUrl,
+    sectionUrl,
+    resolveCitation
+};
@@ -0,0 +1,149 @@
+const { createBackend } = require('./backends');
+const { SCHEMA_VERSION } = require('./corpus');
+const { sectionRecord } = require('./crawl');
+const { romanToNumber } = require('./numbering');
+const { parseStructure, renderText } = require('./structure');
+const { writeAtomic } = require('./util');
+const { log, logToFile } = require('./log');
+
+// The Constitution of the Commonwealth, from its one page on the site, in the
+// corpus shape the General Laws are written in so that the same citations,
+// search and exports work on it. Its own divisions map onto parts, titles,
+// chapters and sections like this:
+//   Part the First, the Declaration of Rights     part I, title and chapter PT1
+//   Part the Second, Chapter I, Section I         part II, title PT2C1, chapter PT2C1S1
+//   Part the Second, Chapter III (no sections)    part II, title and chapter PT2C3
+//   Articles of Amendment                         part AMEND, title and chapter AMEND
+// and each article is a section numbered in arabic ('49' for Article XLIX),
+// with 'Article XLIX' as its section_title. The preamble is left out.
+
+const CONSTITUTION_URL = 'https://malegislature.gov/Laws/Constitution';
+const CONSTITUTION_FILE = 'massachusetts_constitution.json';
+
+const PART_HEADING = /^PART\s+THE\s+(FIRST|SECOND)\b[.:]?\s*(.*)$/i;
+const AMENDMENTS_HEADING = /^ARTICLES\s+OF\s+AMENDMENT\b[.:]?\s*(.*)$/i;
+const CHAPTER_HEADING = /^CHAPTER\s+([IVX]+)\b[.:]?\s*(.*)$/i;
+const SECTION_HEADING = /^SECTION\s+([IVX]+)\b[.:]?\s*(.*)$/i;
+// "Article XII." on its own or ahead of the text, but not "Article XLIX of the
+// Articles of Amendment is hereby annulled"
+const ARTICLE_HEADING = /^(?:Article|Art\.)\s+([IVXLC]+)(?:\.\s*(.*)|\s*)$/i;
+const PREAMBLE_HEADING = /^PREAMBLE\b/i;
+
+const headingText = (text) => text.replace(/[.:]\s*$/, '').trim();
+
+// The corpus for the page's paragraphs, as getConstitutionParagraphs()
+// returns them
+function parseConstitution(paragraphs, url = CONSTITUTION_URL) {
+    const parts = [];
+    let part = null;
+    let title = null;
+    let chapter = null;
+    let article = null;
+    const articles = [];
+    // Where the next plain paragraph goes when a heading's name is on a line
+    // of its own
+    let named = null;
+
+    function open(partRecord, titleRecord, chapterRecord) {
+        part = partRecord ? { ...partRecord, url, titles: [] } : part;
+        if (partRecord) parts.push(part);
+        title = titleRecord ? { ...titleRecord, chapters: [] } : null;
+        if (title) part.titles.push(title);
+        chapter = chapterRecord ? { ...chapterRecord, url, sections: [] } : null;
+        if (chapter) title.chapters.push(chapter);
+        article = null;
+    }
+
+    for (const paragraph of paragraphs) {
+        let match;
+        if (PREAMBLE_HEADING.test(paragraph)) {
+            part = title = chapter = article = named = null;
+        } else if ((match = paragraph.match(PART_HEADING))) {
+            if (/first/i.test(match[1])) {
+                open({ part: 'I', part_title: '' }, { title: 'PT1', title_name: '' }, { chapter: 'PT1', chapter_title: '' });
+                named = (text) => { part.part_title = title.title_name = chapter.chapter_title = text; };
+            } else {
+                open({ part: 'II', part_title: '' }, null, null);
+                named = (text) => { part.part_title = text; };
+            }
+            if (match[2]) {
+                named(headingText(match[2]));
+                named = null;
+            }
+        } else if ((match = paragraph.match(AMENDMENTS_HEADING))) {
+            const name = 'Articles of Amendment';
+            open({ part: 'AMEND', part_title: name }, { title: 'AMEND', title_name: name }, { chapter: 'AMEND', chapter_title: name });
+            named = null;
+        } else if (part?.part === 'II' && (match = paragraph.match(CHAPTER_HEADING))) {
+            const number = romanToNumber(match[1]);
+            open(null, { title: `PT2C${number}`, title_name: headingText(match[2]) }, null);
+            named = match[2] ? null : (text) => { title.title_name = text; };
+        } else if (title && part.part === 'II' && (match = paragraph.match(SECTION_HEADING))) {
+            const number = `${title.title}S${romanToNumber(match[1])}`;
+            chapter = { chapter: number, chapter_title: headingText(match[2]), url, sections: [] };
+            title.chapters.push(chapter);
+            article = null;
+            named = match[2] ? null : (text) => { chapter.chapter_title = text; };
+        } else if (title && (match = paragraph.match(ARTICLE_HEADING))) {
+            // A chapter of Part the Second with no sections holds its articles itself
+            if (!chapter) {
+                chapter = { chapter: title.title, chapter_title: title.title_name, url, sections: [] };
+                title.chapters.push(chapter);
+            }
+            article = { chapter, number: romanToNumber(match[1]), roman: match[1].toUpperCase(), paragraphs: [] };
+            if (match[2]) article.paragraphs.push(match[2]);
+            articles.push(article);
+            named = null;
+        } else if (named) {
+            named(headingText(paragraph));
+            named = null;
+        } else if (article) {
+            article.paragraphs.push(paragraph);
+        }
+    }
+
+    for (const { chapter: holder, number, roman, paragraphs: text } of articles) {
+        holder.sections.push(sectionRecord(
+            { number: String(number), title: `Article ${roman}`, url },
+            { full_text: renderText(text), structure: parseStructure(text) }
+        ));
+    }
+    return { schema_version: SCHEMA_VERSION, parts };
+}
+
+// Crawl the Constitution into options.output (massachusetts_constitution.json),
+// with the backend options of a General Laws crawl. Resolves to the corpus.
+async function scrapeConstitution(options = {}) {
+    const outputFile = options.output || CONSTITUTION_FILE;
+    const closeLog = options.logFile ? logToFile(options.logFile) : () => {};
+    let backend = null;
+    try {
+        backend = await createBackend(options.backend, options);
+        const laws = parseConstitution(await backend.getConstitutionParagraphs(CONSTITUTION_URL), CONSTITUTION_URL);
+
+        const counts = laws.parts.map(part => [
+            part.part_title,
+            part.titles.reduce((sum, t) => sum + t.chapters.reduce((n, c) => n + c.sections.length, 0), 0)
+        ]);
+        if (!counts.some(([, n]) => n)) {
+            throw new Error(`No articles found on ${CONSTITUTION_URL}; has the page's layout changed?`);
+        }
+
+        writeAtomic(outputFile, JSON.stringify(laws, null, 2));
+        for (const [name, n] of counts) {
+            log.info(`${name}: ${n} articles`);
+        }
+        log.info(`Saved the Constitution to ${outputFile}`);
+        return laws;
+    } finally {
+        await backend?.close();
+        closeLog();
+    }
+}
+
+module.exports = {
+    CONSTITUTION_URL,
+    CONSTITUTION_FILE,
+    parseConstitution,
+    scrapeConstitution
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+
+// The corpus is the nested { parts: [{ titles: [{ chapters: [{ sections }] }] }] }
+// document the scraper writes; schema/corpus.schema.json describes it in full.
+// SCHEMA_VERSION is raised only for changes that would break a consumer of the
+// previous version (a field renamed, removed or retyped, the nesting changed);
+// new optional fields keep it.
+const SCHEMA_VERSION = 1;
+
+// Corpora written before the version field existed have the version 1 shape
+function withSchemaVersion(laws, file = 'the corpus') {
+    const { schema_version: version = SCHEMA_VERSION, ...rest } = laws;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`${file} has schema version ${version}, newer than the ${SCHEMA_VERSION} this version of ma-law reads`);
+    }
+    return { schema_version: SCHEMA_VERSION, ...rest };
+}
+
+function loadCorpus(file) {
+    return withSchemaVersion(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+// Every section in crawl order, alongside the part, title and chapter holding it
+function* eachSection(laws) {
+    for (const part of laws.parts || []) {
+        for (const title of part.titles || []) {
+            for (const chapter of title.chapters || []) {
+                for (const section of chapter.sections || []) {
+                    yield { part, title, chapter, section };
+                }
+            }
+        }
+    }
+}
+
+// Chapters are numbered across the whole code, so chapter and section
+// together identify a section
+function sectionKey(chapter, section) {
+    return `${String(chapter).toUpperCase()}:${String(section).toUpperCase()}`;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    withSchemaVersion,
+    loadCorpus,
+    eachSection,
+    sectionKey
+};
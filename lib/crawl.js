@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { createBackend } = require('./backends');
+const { DEFAULT_CONCURRENCY, mapPool } = require('./pool');
+const { SNAPSHOT_DIR, saveSnapshot, snapshotStamp } = require('./snapshots');
+const { classifySection, sectionStatus } = require('./status');
+const { parseHistory } = require('./history');
+const { withSchemaVersion } = require('./corpus');
+const { storeDirFor, createStore } = require('./store');
+const { createFailureLog } = require('./failures');
+const { isTransient, errorType } = require('./errors');
+const { createRunReport, saveReport, latestReport, renderReport } = require('./report');
+const { writeAtomic } = require('./util');
+const { log, logToFile } = require('./log');
+const { createProgress } = require('./progress');
+const { sameSectionNumber, sortSections } = require('./numbering');
+const {
+    createScope,
+    includesPart,
+    includesTitle,
+    includesChapter,
+    selectSections
+} = require('./scope');
+
+const OUTPUT_FILE = 'massachusetts_general_laws.json';
+
+// The saved record for a section link and the details fetched for it
+function sectionRecord(link, details) {
+    return {
+        section: link.number,
+        section_title: link.title,
+        full_text: details.full_text,
+        structure: details.structure,
+        ...classifySection(link.title, details.full_text),
+        history: parseHistory(link.title, details.full_text),
+        url: link.url
+    };
+}
+
+// Where a page sits in the code, as the failure log records it
+function failureTarget(part, titleData, chapter) {
+    return {
+        part: { part: part.part, part_title: part.part_title, url: part.url },
+        title: { title: titleData.title, title_name: titleData.title_name },
+        chapter: { chapter: chapter.chapter, chapter_title: chapter.chapter_title, url: chapter.url }
+    };
+}
+
+// options: force, concurrency, sections, failures (the failure log, see
+// lib/failures.js), retryPermanent (try pages again that failed for good
+// on an earlier run) and report (the run's coverage report, see lib/report.js)
+async function scrapeChapter(backend, store, part, titleData, chapter, options = {}) {
+    const failures = options.failures;
+    const report = options.report;
+    const target = failureTarget(part, titleData, chapter);
+    // Pages that failed for good on an earlier run are left alone
+    const skipFailed = (url) => !options.force && !options.retryPermanent && failures.isPermanent(url);
+
+    log.info(`Processing sections for Chapter ${chapter.chapter}`, { chapter: chapter.chapter });
+    let links;
+    report?.pages();
+    try {
+        links = await backend.getSectionLinks(chapter.url);
+        failures.resolve(chapter.url);
+    } catch (error) {
+        log.error(`Error getting sections for Chapter ${chapter.chapter}: ${error.message}`, { chapter: chapter.chapter, url: chapter.url, error_type: errorType(error) });
+        failures.record({ url: chapter.url, ...target, section: null }, error);
+        options.progress?.failed();
+        return false;
+    }
+    const sections = selectSections(links, options.sections);
+    report?.chapter(chapter, links.length, sections.length);
+    options.progress?.listed(sections.length);
+
+    // Check if chapter needs processing
+    let needsProcessing = false;
+    const existingChapter = store.readChapter(chapter.chapter);
+    const findExisting = (section) => existingChapter?.sections?.find(s => sameSectionNumber(s.section, section.number));
+    // Why a section already in the store isn't fetched again, for the report
+    const skipOutcome = (section) => skipFailed(section.url)
+        ? 'failed'
+        : sectionStatus(findExisting(section)) !== 'active' ? 'inactive' : 'skipped';
+
+    // If chapter isn't in the store, process all sections
+    if (options.force) {
+        needsProcessing = true;
+        log.info(`Refreshing Chapter ${chapter.chapter}`, { chapter: chapter.chapter });
+    } else if (!existingChapter) {
+        needsProcessing = true;
+        log.info(`Chapter ${chapter.chapter} not found, will process all sections`, { chapter: chapter.chapter });
+    } else {
+        // If chapter exist in the store, check sections from website against it
+        for (const section of sections) {
+            if (skipFailed(section.url)) continue;
+            const existingSection = findExisting(section);
+
+            // If section doesn't exist in the store or is empty, process it; repealed,
+            // stricken and other inactive sections are expected to be empty
+            if (!existingSection ||
+                (existingSection.full_text.trim() === '' &&
+                 sectionStatus(existingSection) === 'active')) {
+                needsProcessing = true;
+                log.debug(`Chapter ${chapter.chapter} Section ${section.number} needs to be processed`, { chapter: chapter.chapter, section: section.number });
+                break;
+            }
+        }
+    }
+
+    // Skip chapter if it doesn't need processing
+    if (!needsProcessing) {
+        log.info(`Skipping Chapter ${chapter.chapter}, all sections already processed`, { chapter: chapter.chapter });
+        for (const section of sections) {
+            report?.section(chapter, skipOutcome(section));
+        }
+        options.progress?.sections(sections.length);
+        return false;
+    }
+
+    log.info(`Processing Chapter ${chapter.chapter}`, { chapter: chapter.chapter });
+    const failedSections = [];
+
+    // Function to process a single section; returns the new record, or null
+    // when the saved one is kept
+    async function processSection(section, index) {
+        try {
+            let shouldProcess = true;
+
+            // Check if section exists in the store
+            if (skipFailed(section.url)) {
+                log.debug(`Section ${section.number} failed for good on an earlier run (${failures.find(section.url).error_type}) - skipping`, { chapter: chapter.chapter, section: section.number });
+                report?.section(chapter, 'failed');
+                shouldProcess = false;
+            } else if (options.force) {
+                log.debug(`Refreshing section ${section.number}`, { chapter: chapter.chapter, section: section.number });
+            } else if (existingChapter?.sections) {
+                const existingSection = findExisting(section);
+
+                if (existingSection) {
+                    // Check if section has content or is no longer in force
+                    const hasContent = existingSection.full_text && existingSection.full_text.trim() !== '';
+                    const isInactive = sectionStatus(existingSection) !== 'active';
+
+                    if (hasContent || isInactive) {
+                        log.debug(`Section ${section.number} already processed - skipping`, { chapter: chapter.chapter, section: section.number });
+                        report?.section(chapter, skipOutcome(section));
+                        shouldProcess = false;
+                    } else {
+                        log.debug(`Section ${section.number} exists but needs updating - processing`, { chapter: chapter.chapter, section: section.number });
+                    }
+                } else {
+                    log.debug(`Section ${section.number} not found in the store - processing`, { chapter: chapter.chapter, section: section.number });
+                }
+            } else {
+                log.debug(`No sections found for chapter ${chapter.chapter} - processing section ${section.number}`, { chapter: chapter.chapter, section: section.number });
+            }
+
+            if (shouldProcess) {
+                // Process the section
+                report?.pages();
+                const sectionData = await backend.getSectionDetails(section.url, section.number);
+                failures.resolve(section.url);
+                const record = sectionRecord(section, sectionData);
+                report?.section(chapter, 'fetched', record);
+                options.progress?.fetched();
+                return record;
+            }
+        } catch (error) {
+            log.warn(`Error processing section ${section.number}: ${error.message}`, { chapter: chapter.chapter, section: section.number, url: section.url, error_type: errorType(error) });
+            const failed = {
+                section: section,
+                index: index,
+                error: error
+            };
+            // A missing page won't turn up by asking again straight away
+            if (isTransient(error)) {
+                failedSections.push(failed);
+            } else {
+                recordFailure(failed);
+            }
+        } finally {
+            options.progress?.sections();
+        }
+        return null;
+    }
+
+    function recordFailure(failed) {
+        failures.record({
+            url: failed.section.url,
+            ...target,
+            section: {
+                number: failed.section.number,
+                title: failed.section.title,
+                position: links.indexOf(failed.section)
+            }
+        }, failed.error);
+        options.progress?.failed();
+    }
+
+    // Process all sections, keeping them in the order the chapter lists them
+    const results = await mapPool(sections, options.concurrency || DEFAULT_CONCURRENCY, processSection);
+
+    // Retry failed sections for this chapter
+    if (failedSections.length > 0) {
+        log.info(`Retrying ${failedSections.length} failed sections for Chapter ${chapter.chapter}`, { chapter: chapter.chapter });
+        for (const failed of failedSections) {
+            try {
+                log.debug(`Retrying section ${failed.section.number}`, { chapter: chapter.chapter, section: failed.section.number });
+                report?.pages();
+                const sectionData = await backend.getSectionDetails(failed.section.url, failed.section.number);
+                failures.resolve(failed.section.url);
+                results[failed.index] = sectionRecord(failed.section, sectionData);
+                report?.section(chapter, 'fetched', results[failed.index]);
+                options.progress?.fetched();
+            } catch (error) {
+                log.error(`Final retry failed for section ${failed.section.number}: ${error.message}`, { chapter: chapter.chapter, section: failed.section.number, url: failed.section.url, error_type: errorType(error) });
+                recordFailure({ ...failed, error });
+            }
+        }
+    }
+
+    const fetched = results.filter(Boolean);
+
+    // Keep the saved sections that weren't fetched again, then put the whole
+    // chapter in code order, so the result is the same however it was reached
+    const kept = (existingChapter?.sections || [])
+        .filter(existing => !fetched.some(s => sameSectionNumber(s.section, existing.section)));
+    const processedSections = sortSections([...fetched, ...kept]);
+
+    // Add sections to the chapter
+    chapter.sections = processedSections;
+    store.saveChapter(part, titleData, chapter, processedSections);
+    return true;
+}
+
+// Fetch the pages in the failure log entries again. A chapter page gets the
+// chapter crawled afresh; section pages are fetched alone and put back into
+// their chapter in the store. Returns the number of entries that succeeded.
+async function retryFailures(backend, store, failures, entries, options = {}) {
+    let fixed = 0;
+
+    for (const entry of entries.filter(e => !e.section)) {
+        log.info(`Retrying Chapter ${entry.chapter.chapter}`, { chapter: entry.chapter.chapter });
+        await scrapeChapter(backend, store, entry.part, entry.title, entry.chapter, { ...options, failures });
+        if (!failures.find(entry.url)) fixed++;
+    }
+
+    const byChapter = new Map();
+    for (const entry of entries.filter(e => e.section)) {
+        const key = String(entry.chapter.chapter).toUpperCase();
+        byChapter.set(key, [...(byChapter.get(key) || []), entry]);
+    }
+
+    for (const group of byChapter.values()) {
+        const { part, title, chapter } = group[0];
+        const sections = [...(store.readChapter(chapter.chapter)?.sections || [])];
+        let changed = false;
+
+        for (const entry of group) {
+            const link = { number: entry.section.number, title: entry.section.title, url: entry.url };
+            try {
+                log.info(`Retrying Chapter ${chapter.chapter} Section ${link.number}`, { chapter: chapter.chapter, section: link.number });
+                options.report?.pages();
+                const record = sectionRecord(link, await backend.getSectionDetails(link.url, link.number));
+                options.report?.section(chapter, 'fetched', record);
+                const index = sections.findIndex(s => sameSectionNumber(s.section, link.number));
+                if (index === -1) {
+                    sections.push(record);
+                } else {
+                    sections[index] = record;
+                }
+                failures.resolve(entry.url);
+                changed = true;
+                fixed++;
+            } catch (error) {
+                log.error(`Retry failed for section ${link.number}: ${error.message}`, { chapter: chapter.chapter, section: link.number, url: link.url, error_type: errorType(error) });
+                failures.record(entry, error);
+            }
+        }
+
+        if (changed) {
+            store.saveChapter(part, title, chapter, sortSections(sections));
+        }
+    }
+
+    return fixed;
+}
+
+function openStore(outputFile, options) {
+    const store = createStore(options.storeDir || storeDirFor(outputFile));
+    return { store, failures: createFailureLog(store.dir) };
+}
+
+function writeOutput(store, outputFile) {
+    writeAtomic(outputFile, JSON.stringify(store.buildCorpus(), null, 2));
+    log.info(`Wrote ${outputFile}`);
+}
+
+function reportFailures(failures) {
+    const entries = failures.list();
+    if (entries.length) {
+        const transient = entries.filter(e => e.transient).length;
+        log.warn(`${entries.length} pages failed (${transient} may succeed later), listed in ${failures.file}; run retry-failed to fetch them again`, { failures: entries.length, transient });
+    }
+}
+
+// This run's log, every line of it, in the store's logs/ directory unless
+// options.logFile names another file or is false
+function openRunLog(store, options) {
+    if (options.logFile === false) return () => {};
+    return logToFile(options.logFile || path.join(store.dir, 'logs', `${snapshotStamp()}.jsonl`));
+}
+
+// Options: backend, output, storeDir (where progress is kept between runs,
+// see lib/store.js, along with the pages that failed, see lib/failures.js),
+// force (re-fetch sections that are already saved), concurrency (sections
+// fetched at once), rate (requests per second across all workers), snapshotDir
+// (where each finished crawl is copied under a dated name),
+// cacheDir/cacheMaxAge (an on-disk page cache and how long its pages are used
+// without revalidating, see lib/cache.js), record/replay (a fixture directory
+// to save pages into or serve them from, see lib/fixtures.js),
+// part/title/chapter/sections to narrow the crawl (see lib/scope.js), logFile
+// (see openRunLog) and progress (false for no progress display, see
+// lib/progress.js). Resolves to the run's coverage report (see lib/report.js).
+async function scrapeLaws(options = {}) {
+    const outputFile = options.output || OUTPUT_FILE;
+    const scope = createScope(options);
+    const { store, failures } = openStore(outputFile, options);
+    const closeLog = openRunLog(store, options);
+    let backend = null;
+    let progress = null;
+
+    try {
+        log.info('Starting to scrape Massachusetts General Laws...');
+        backend = await createBackend(options.backend, options);
+        log.info(`Using the ${backend.name} backend`);
+
+        if (store.isEmpty() && fs.existsSync(outputFile)) {
+            // Carry a crawl saved before the store existed over into it
+            let existing = null;
+            try {
+                existing = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+            } catch (error) {
+                log.warn('Could not load existing data, starting fresh');
+            }
+            if (existing) {
+                // Outside the try, so a corpus from a newer version is not overwritten
+                store.importCorpus(withSchemaVersion(existing, outputFile));
+                log.info(`Imported ${outputFile} into ${store.dir}`);
+            }
+        }
+
+        const report = createRunReport({ backend: backend.name, scope });
+        const startedAt = report.startedAt.toISOString();
+        progress = options.progress === false ? null : createProgress();
+        report.pages();
+        const parts = await backend.getParts();
+
+        // Every part's titles first, so the progress display knows how many
+        // chapters there are
+        const outline = [];
+        for (const part of parts.filter(p => includesPart(scope, p))) {
+            report.part();
+            try {
+                const titles = await backend.getTitles(part);
+                // The part page, then one chapter list per title
+                report.pages(1 + titles.length);
+                const included = titles.filter(t => includesTitle(scope, t));
+                outline.push({ part, titles: included });
+                progress?.addChapters(included.reduce((sum, t) => sum + t.chapters.filter(c => includesChapter(scope, c)).length, 0));
+            } catch (error) {
+                log.error(`Error processing part: ${error.message}`, { part: part.part, error_type: errorType(error) });
+            }
+        }
+
+        for (const { part, titles } of outline) {
+            log.info(`Processing Part ${part.part}`, { part: part.part });
+            for (const titleData of titles) {
+                report.title();
+                for (const chapter of titleData.chapters.filter(c => includesChapter(scope, c))) {
+                    progress?.at({ part: part.part, title: titleData.title, chapter: chapter.chapter });
+                    const saved = await scrapeChapter(backend, store, part, titleData, chapter, {
+                        force: options.force,
+                        concurrency: options.concurrency,
+                        sections: scope.sections,
+                        failures,
+                        report,
+                        progress
+                    });
+                    progress?.chapterDone();
+                    if (saved) {
+                        log.info(`Saved progress for Chapter ${chapter.chapter}`, { chapter: chapter.chapter });
+                    }
+                }
+                log.info(`Found ${titleData.chapters.length} chapters in Title ${titleData.title}`, { part: part.part, title: titleData.title });
+            }
+        }
+        progress?.stop();
+
+        // Final retry pass for the pages that failed during this run and may
+        // yet succeed
+        const retryable = failures.list().filter(e => e.transient && e.last_failed_at >= startedAt);
+        if (retryable.length) {
+            log.info(`Starting final retry pass for ${retryable.length} failed pages...`);
+            await retryFailures(backend, store, failures, retryable, {
+                concurrency: options.concurrency,
+                sections: scope.sections,
+                report
+            });
+        }
+
+        if (!store.isEmpty()) {
+            writeOutput(store, outputFile);
+            const snapshot = saveSnapshot(outputFile, options.snapshotDir || SNAPSHOT_DIR);
+            log.info(`Saved snapshot ${snapshot}`);
+        }
+        reportFailures(failures);
+
+        const finished = report.finish(
+            failures.list().filter(e => e.last_failed_at >= startedAt),
+            latestReport(store.dir)
+        );
+        const reportFile = saveReport(store.dir, finished);
+        log.info(renderReport(finished), { report: finished });
+        log.info(`Saved report ${reportFile}`);
+        return finished;
+    } finally {
+        progress?.stop();
+        await backend?.close();
+        closeLog();
+    }
+}
+
+// Fetch again the pages earlier crawls recorded as failed, then rewrite the
+// output. Takes the options of scrapeLaws; pages that failed for good (a 404,
+// say) are only tried again with options.all.
+async function retryFailed(options = {}) {
+    const outputFile = options.output || OUTPUT_FILE;
+    const { store, failures } = openStore(outputFile, options);
+    const entries = failures.list().filter(e => options.all || e.transient);
+    if (!entries.length) {
+        log.info(`Nothing to retry in ${failures.file}`);
+        return { retried: 0, fixed: 0 };
+    }
+
+    const closeLog = openRunLog(store, options);
+    let backend = null;
+    try {
+        backend = await createBackend(options.backend, options);
+        log.info(`Retrying ${entries.length} failed pages with the ${backend.name} backend`);
+        const fixed = await retryFailures(backend, store, failures, entries, {
+            concurrency: options.concurrency,
+            retryPermanent: options.all
+        });
+        log.info(`${fixed} of ${entries.length} pages fetched`);
+        if (!store.isEmpty()) {
+            writeOutput(store, outputFile);
+        }
+        reportFailures(failures);
+        return { retried: entries.length, fixed };
+    } finally {
+        await backend?.close();
+        closeLog();
+    }
+}
+
+module.exports = {
+    OUTPUT_FILE,
+    sectionRecord,
+    scrapeLaws,
+    retryFailed
+};
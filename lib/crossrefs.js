@@ -0,0 +1,209 @@
+const { eachSection, sectionKey } = require('./corpus');
+
+// A section number as the General Laws print it (15, 15B, 2½), optionally
+// followed by a subdivision path such as (1)(c)
+const SECTION_NUMBER = String.raw`\d+[A-Z]{0,3}(?:\s?½|\s1\/2)?(?:\([0-9a-zA-Z]{1,4}\))*`;
+const CHAPTER_NUMBER = String.raw`\d+[A-Z]{0,3}`;
+const LIST_SEPARATOR = String.raw`(?:\s*,\s*(?:and\s+|or\s+)?|\s+(?:and|or|to|through)\s+)`;
+
+const SECTION_REFERENCE = new RegExp(
+    String.raw`\bsections?\s+(${SECTION_NUMBER}(?:${LIST_SEPARATOR}${SECTION_NUMBER})*)` +
+    String.raw`(?:,?\s+inclusive,?)?` +
+    String.raw`(?:\s+of\s+(this chapter|said chapter(?:\s+(${CHAPTER_NUMBER}))?|chapter\s+(${CHAPTER_NUMBER})))?`,
+    'gi'
+);
+const CHAPTER_REFERENCE = new RegExp(
+    String.raw`\bchapters?\s+(${CHAPTER_NUMBER}(?:${LIST_SEPARATOR}${CHAPTER_NUMBER})*)`,
+    'gi'
+);
+
+// References that are to a session law or some other act, not the General Laws
+const NOT_GENERAL_LAWS = /^,?\s+of\s+(?:the\s+(?:acts|resolves)|(?:said|this|such|that)\s+(?:act|resolve))/i;
+
+// "1 to 5" -> [{ from: '1', to: '5' }], "3, 4 and 7" -> three single numbers
+function splitNumbers(list) {
+    const numbers = [];
+    const tokens = list.split(/(\s*,\s*(?:and\s+|or\s+)?|\s+(?:and|or|to|through)\s+)/i);
+    for (let i = 0; i < tokens.length; i += 2) {
+        const number = tokens[i].replace(/\s+/g, '').replace('1/2', '½');
+        const separator = (tokens[i - 1] || '').trim().toLowerCase();
+        if ((separator === 'to' || separator === 'through') && numbers.length) {
+            numbers[numbers.length - 1].to = number;
+        } else {
+            numbers.push({ from: number });
+        }
+    }
+    return numbers;
+}
+
+// "15B(1)(c)" -> { section: '15B', path: '(1)(c)' }
+function splitPath(number) {
+    const index = number.indexOf('(');
+    return index === -1
+        ? { section: number.toUpperCase(), path: '' }
+        : { section: number.slice(0, index).toUpperCase(), path: number.slice(index) };
+}
+
+// "said chapter" means the chapter most recently named before it
+function lastChapterBefore(text, index) {
+    const mentions = [...text.slice(0, index).matchAll(/\bchapter\s+(\d+[A-Z]{0,3})\b/gi)];
+    return mentions.length ? mentions[mentions.length - 1][1] : null;
+}
+
+// Find references in a section's text. Bare "section 12" and "section 12 of
+// this chapter" point into the chapter the text belongs to.
+function detectReferences(text, currentChapter) {
+    const references = [];
+    const covered = [];
+
+    for (const match of (text || '').matchAll(SECTION_REFERENCE)) {
+        const end = match.index + match[0].length;
+        covered.push([match.index, end]);
+        if (NOT_GENERAL_LAWS.test(text.slice(end))) continue;
+
+        let chapter = match[4] || match[3] || currentChapter;
+        if (match[2] && /^said/i.test(match[2]) && !match[3]) {
+            chapter = lastChapterBefore(text, match.index) || currentChapter;
+        }
+        for (const { from, to } of splitNumbers(match[1])) {
+            const start = splitPath(from);
+            references.push({
+                text: match[0],
+                chapter: String(chapter).toUpperCase(),
+                section: start.section,
+                ...(start.path ? { path: start.path } : {}),
+                ...(to ? { through: splitPath(to).section } : {})
+            });
+        }
+    }
+
+    for (const match of (text || '').matchAll(CHAPTER_REFERENCE)) {
+        const end = match.index + match[0].length;
+        const inSectionReference = covered.some(([from, to]) => match.index >= from && match.index < to);
+        if (inSectionReference || NOT_GENERAL_LAWS.test(text.slice(end))) continue;
+
+        for (const { from, to } of splitNumbers(match[1])) {
+            references.push({
+                text: match[0],
+                chapter: from.toUpperCase(),
+                section: null,
+                ...(to ? { through_chapter: to.toUpperCase() } : {})
+            });
+        }
+    }
+
+    return references;
+}
+
+// A chapter can list the same section number twice (two sections enacted as
+// 15B by different acts, say), so each key holds every section numbered so
+function buildIndex(laws) {
+    const chapters = new Map();
+    const sections = new Map();
+    for (const part of laws.parts || []) {
+        for (const title of part.titles || []) {
+            for (const chapter of title.chapters || []) {
+                chapters.set(String(chapter.chapter).toUpperCase(), chapter);
+                for (const section of chapter.sections || []) {
+                    const key = sectionKey(chapter.chapter, section.section);
+                    if (!sections.has(key)) sections.set(key, []);
+                    sections.get(key).push(section);
+                }
+            }
+        }
+    }
+    return { chapters, sections };
+}
+
+// The sections a reference points at; a range covers everything the chapter
+// lists from its first section through its last
+function resolveReference(reference, index) {
+    const chapter = index.chapters.get(reference.chapter);
+    if (!chapter) {
+        return { targets: [], reason: 'chapter not found' };
+    }
+    if (reference.section === null) {
+        return { targets: [{ chapter: chapter.chapter, section: null }] };
+    }
+
+    const listing = (chapter.sections || []).map(s => String(s.section).toUpperCase());
+    const start = listing.indexOf(reference.section);
+    if (start === -1) {
+        return { targets: [], reason: 'section not found' };
+    }
+
+    let end = start;
+    if (reference.through) {
+        end = listing.indexOf(reference.through);
+        if (end === -1) {
+            return { targets: [], reason: 'end of section range not found' };
+        }
+    }
+
+    return {
+        targets: listing.slice(Math.min(start, end), Math.max(start, end) + 1).map(section => ({
+            chapter: chapter.chapter,
+            section: chapter.sections.find(s => String(s.section).toUpperCase() === section).section,
+            ...(reference.path && !reference.through ? { path: reference.path } : {})
+        }))
+    };
+}
+
+// Detect and resolve every reference in the corpus. Each section gets
+// references.outbound and references.inbound, chapters cited as a whole get
+// references.inbound, and the references that didn't resolve are returned.
+function linkCrossReferences(laws) {
+    const index = buildIndex(laws);
+    const unresolved = [];
+
+    for (const chapter of index.chapters.values()) {
+        chapter.references = { inbound: [] };
+    }
+    for (const { section } of eachSection(laws)) {
+        section.references = { outbound: [], inbound: [] };
+    }
+
+    for (const { chapter, section } of eachSection(laws)) {
+        const from = { chapter: chapter.chapter, section: section.section };
+        const seen = new Set();
+
+        for (const reference of detectReferences(section.full_text, chapter.chapter)) {
+            const { targets, reason } = resolveReference(reference, index);
+            if (!targets.length) {
+                unresolved.push({ from, ...reference, reason });
+                continue;
+            }
+
+            for (const target of targets) {
+                const key = `${target.chapter}:${target.section}:${target.path || ''}`;
+                const isSelf = target.section !== null &&
+                    sectionKey(target.chapter, target.section) === sectionKey(from.chapter, from.section);
+                if (seen.has(key) || isSelf) continue;
+                seen.add(key);
+
+                section.references.outbound.push({ ...target, text: reference.text });
+                if (target.section === null) {
+                    index.chapters.get(String(target.chapter).toUpperCase()).references.inbound.push(from);
+                } else {
+                    // A citation of a number listed twice can't tell the two
+                    // apart, so both are cited
+                    for (const targetSection of index.sections.get(sectionKey(target.chapter, target.section))) {
+                        const alreadyCited = targetSection.references.inbound
+                            .some(i => sectionKey(i.chapter, i.section) === sectionKey(from.chapter, from.section));
+                        if (!alreadyCited) {
+                            targetSection.references.inbound.push(from);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return { unresolved };
+}
+
+module.exports = {
+    detectReferences,
+    resolveReference,
+    linkCrossReferences
+};
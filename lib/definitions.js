@@ -0,0 +1,166 @@
+const { eachSection, sectionKey } = require('./corpus');
+const { writeAtomic } = require('./util');
+
+// Terms the General Laws define, read from sections such as
+//   As used in this chapter, the following words shall, unless the context
+//   clearly requires otherwise, have the following meanings:
+//   "Landlord" or "lessor", the owner of a dwelling unit ...
+//   "Tenant", a person who occupies a dwelling unit ...
+// Each term becomes a glossary entry:
+//   { term, definition, chapter, section, scope, url }
+// scope says where the definition governs: { chapter, sections: null } for
+// the whole chapter, or { chapter, sections: ['1', '2', ...] } for a single
+// section or a range of them ("As used in sections 1 to 15, inclusive").
+
+const GLOSSARY_FILE = 'massachusetts_general_laws_glossary.json';
+
+const NUMBER = String.raw`\d+[A-Z]{0,3}(?:½)?`;
+const SCOPE = new RegExp(
+    String.raw`\b(?:as\s+used\s+in|for\s+the\s+purposes?\s+of|in)\s+` +
+    String.raw`(this\s+chapter|this\s+(?:section|subsection|paragraph)|sections?\s+(${NUMBER})(?:\s+(?:to|through)\s+(${NUMBER}))?(?:,?\s+inclusive)?(?:,?\s+of\s+this\s+chapter)?)` +
+    String.raw`\s*,?\s*`,
+    'i'
+);
+// What makes a scope phrase introduce definitions rather than something else
+const DEFINES = /\b(?:following\s+(?:words|terms)|shall\s+mean|means\b|shall\s+have\s+the\s+following)/i;
+
+const QUOTED = String.raw`["“]([^"”]{1,120})["”]`;
+// (3) "Landlord" or "lessor", ...   "Tenant" means ...   "Rent" shall include ...
+const TERM = new RegExp(
+    String.raw`^(?:\([0-9a-zA-Z]{1,4}\)\s*)?${QUOTED}((?:\s*,?\s*(?:or|and)\s+${QUOTED})*)` +
+    String.raw`\s*(,|:|\s+(?:shall\s+)?means?\b|\s+shall\s+include\b|\s+includes\b)\s*([\s\S]*)$`,
+    'i'
+);
+
+const cleanTerm = (term) => term.replace(/[,.:;]+$/, '').replace(/\s+/g, ' ').trim();
+const cleanDefinition = (text) => text.replace(/\s*[;.]\s*(?:and|or)?\s*$/i, '').trim();
+
+// The scope a phrase names, with a range resolved against the chapter's own
+// list of sections
+function readScope(match, chapter, section) {
+    const scope = { chapter: chapter.chapter, sections: null };
+    if (/^this\s+chapter/i.test(match[1])) return scope;
+    if (/^this\s+/i.test(match[1])) return { ...scope, sections: [section.section] };
+
+    const listing = (chapter.sections || []).map(s => String(s.section).toUpperCase());
+    const start = listing.indexOf(match[2].toUpperCase());
+    const end = match[3] ? listing.indexOf(match[3].toUpperCase()) : start;
+    if (start === -1 || end === -1) {
+        // The range runs past what the chapter lists; keep what it names
+        return { ...scope, sections: [match[2], match[3]].filter(Boolean) };
+    }
+    return {
+        ...scope,
+        sections: (chapter.sections || []).slice(Math.min(start, end), Math.max(start, end) + 1).map(s => s.section)
+    };
+}
+
+// { terms, definition } for a paragraph that starts with a quoted term, or null
+function readTerm(paragraph) {
+    const match = paragraph.match(TERM);
+    if (!match) return null;
+    const terms = [match[1], ...[...(match[2] || '').matchAll(new RegExp(QUOTED, 'g'))].map(m => m[1])].map(cleanTerm);
+    const separator = match[4].trim().toLowerCase();
+    const definition = /include/.test(separator) ? `includes ${match[5]}` : match[5];
+    return { terms, definition };
+}
+
+// Definitions in one section: [{ term, definition, scope }]
+function sectionDefinitions(chapter, section) {
+    const paragraphs = (section.full_text || '').split(/\n{2,}/).map(p => p.replace(/^Section\s+\S+\.\s*/, '').trim());
+    const isDefinitionsTitle = /^definitions?\b/i.test(section.section_title || '');
+
+    let scope = null;
+    let start = 0;
+    const found = [];
+    for (const [i, paragraph] of paragraphs.entries()) {
+        const match = paragraph.match(SCOPE);
+        if (match && DEFINES.test(paragraph)) {
+            scope = readScope(match, chapter, section);
+            start = i + 1;
+            // "As used in this section, "tenant" shall mean ..." in one sentence
+            const inline = readTerm(paragraph.slice(match.index + match[0].length));
+            if (inline) found.push(inline);
+            break;
+        }
+    }
+    if (!scope) {
+        if (!isDefinitionsTitle) return [];
+        scope = { chapter: chapter.chapter, sections: null };
+    }
+
+    // Paragraphs that don't start a term continue the definition before them
+    for (const paragraph of paragraphs.slice(start)) {
+        const term = readTerm(paragraph);
+        if (term) {
+            found.push(term);
+        } else if (found.length) {
+            found[found.length - 1].definition += `\n\n${paragraph}`;
+        }
+    }
+
+    return found.flatMap(({ terms, definition }) => terms.map(term => ({
+        term,
+        definition: cleanDefinition(definition),
+        scope
+    })));
+}
+
+// Every definition in the corpus, in code order
+function extractDefinitions(laws) {
+    const glossary = [];
+    for (const { chapter, section } of eachSection(laws)) {
+        for (const definition of sectionDefinitions(chapter, section)) {
+            glossary.push({
+                term: definition.term,
+                definition: definition.definition,
+                chapter: chapter.chapter,
+                section: section.section,
+                scope: definition.scope,
+                url: section.url || null
+            });
+        }
+    }
+    return glossary;
+}
+
+function exportGlossary(laws, file = GLOSSARY_FILE) {
+    const glossary = extractDefinitions(laws);
+    writeAtomic(file, JSON.stringify(glossary, null, 2));
+    return glossary;
+}
+
+// "Tenants" finds "tenant" and "landlord's" finds "landlord": both sides are
+// compared lowercased, without a possessive or a plural s
+function normalizeTerm(term) {
+    return String(term).toLowerCase().replace(/\s+/g, ' ').trim()
+        .replace(/['’]s$/, '')
+        .replace(/([^s])s$/, '$1');
+}
+
+// Sections a definition governs, for putting the narrowest first
+const scopeSize = (scope) => scope.sections ? scope.sections.length : Number.MAX_SAFE_INTEGER;
+
+const scopeCovers = (scope, chapter, section) =>
+    String(scope.chapter).toUpperCase() === String(chapter).toUpperCase() &&
+    (!scope.sections || section === undefined ||
+        scope.sections.some(s => sectionKey(chapter, s) === sectionKey(chapter, section)));
+
+// The definitions of a term that govern a place in the code, the narrowest
+// scope first. place is { chapter, section }; leave it out to search every
+// chapter, or leave out the section for every definition in a chapter.
+function lookupTerm(glossary, term, place = {}) {
+    const wanted = normalizeTerm(term);
+    return glossary
+        .filter(entry => normalizeTerm(entry.term) === wanted)
+        .filter(entry => place.chapter === undefined || scopeCovers(entry.scope, place.chapter, place.section))
+        .sort((a, b) => scopeSize(a.scope) - scopeSize(b.scope));
+}
+
+module.exports = {
+    GLOSSARY_FILE,
+    sectionDefinitions,
+    extractDefinitions,
+    exportGlossary,
+    lookupTerm
+};
@@ -0,0 +1,225 @@
+const { diffWords } = require('diff');
+const { eachSection, sectionKey } = require('./corpus');
+const { sectionStatus } = require('./status');
+const { escapeHtml } = require('./util');
+const { provisionCitation, corpusNaming } = require('./structure');
+
+// Unchanged runs longer than this are shortened in the Markdown and HTML reports
+const CONTEXT_WORDS = 12;
+
+// Repealed, stricken, inoperative or reserved (see lib/status.js)
+const isInactive = (section) => sectionStatus(section) !== 'active';
+
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// A number a chapter lists twice is keyed by which of its copies it is (the
+// second 15B as 186:15B#2), so the copies are compared in order
+function indexSections(laws, chapters) {
+    const index = new Map();
+    for (const { part, title, chapter, section } of eachSection(laws)) {
+        if (chapters && !chapters.includes(String(chapter.chapter).toUpperCase())) continue;
+        let key = sectionKey(chapter.chapter, section.section);
+        for (let copy = 2; index.has(key); copy++) {
+            key = `${sectionKey(chapter.chapter, section.section)}#${copy}`;
+        }
+        index.set(key, {
+            part: part.part,
+            title: title.title,
+            chapter: chapter.chapter,
+            chapter_title: chapter.chapter_title,
+            section: section.section,
+            section_title: section.section_title,
+            status: sectionStatus(section),
+            status_citation: section.status_citation || null,
+            url: section.url,
+            record: section
+        });
+    }
+    return index;
+}
+
+function summarize(entry) {
+    return {
+        part: entry.part,
+        title: entry.title,
+        chapter: entry.chapter,
+        chapter_title: entry.chapter_title,
+        section: entry.section,
+        section_title: entry.section_title,
+        status: entry.status,
+        status_citation: entry.status_citation,
+        url: entry.url
+    };
+}
+
+// Compare two crawls. A section that went out of force (repealed, stricken,
+// inoperative or reserved) is reported under repealed rather than modified.
+// options.chapters limits the comparison to a list of chapter numbers, and
+// corpus is the name of what was compared, for the reports' headings.
+function diffCorpora(oldLaws, newLaws, options = {}) {
+    const chapters = options.chapters ? options.chapters.map(c => String(c).toUpperCase()) : null;
+    const before = indexSections(oldLaws, chapters);
+    const after = indexSections(newLaws, chapters);
+    const report = { added: [], removed: [], repealed: [], modified: [] };
+
+    for (const [key, entry] of after) {
+        const previous = before.get(key);
+        if (!previous) {
+            report.added.push(summarize(entry));
+        } else if (isInactive(entry.record) && !isInactive(previous.record)) {
+            report.repealed.push(summarize(entry));
+        } else {
+            const oldText = normalizeText(previous.record.full_text);
+            const newText = normalizeText(entry.record.full_text);
+            const titleChanged = previous.section_title !== entry.section_title;
+            if (oldText !== newText || titleChanged) {
+                report.modified.push({
+                    ...summarize(entry),
+                    ...(titleChanged ? { previous_section_title: previous.section_title } : {}),
+                    changes: diffWords(oldText, newText).map(change => ({
+                        op: change.added ? 'insert' : change.removed ? 'delete' : 'equal',
+                        text: change.value
+                    }))
+                });
+            }
+        }
+    }
+
+    for (const [key, entry] of before) {
+        if (!after.has(key)) {
+            report.removed.push(summarize(entry));
+        }
+    }
+
+    return {
+        corpus: corpusNaming(newLaws).name,
+        summary: {
+            added: report.added.length,
+            removed: report.removed.length,
+            repealed: report.repealed.length,
+            modified: report.modified.length
+        },
+        ...report
+    };
+}
+
+// Shorten an unchanged run to its first and last few words
+function elide(text, position) {
+    const words = text.split(/(\s+)/);
+    const limit = CONTEXT_WORDS * 2;
+    if (words.length <= limit * 2) return text;
+    if (position === 'first') return '… ' + words.slice(-limit).join('');
+    if (position === 'last') return words.slice(0, limit).join('') + ' …';
+    return words.slice(0, limit).join('') + ' … ' + words.slice(-limit).join('');
+}
+
+function contextFor(changes, i) {
+    if (i === 0) return 'first';
+    if (i === changes.length - 1) return 'last';
+    return 'middle';
+}
+
+function citation(entry) {
+    return provisionCitation(entry.chapter, entry.section);
+}
+
+function renderMarkdown(diff, meta = {}) {
+    const lines = [`# Changes to the ${diff.corpus}`, ''];
+    if (meta.from && meta.to) {
+        lines.push(`Comparing \`${meta.from}\` to \`${meta.to}\`.`, '');
+    }
+    lines.push(
+        `- Added: ${diff.summary.added}`,
+        `- Removed: ${diff.summary.removed}`,
+        `- Repealed: ${diff.summary.repealed}`,
+        `- Modified: ${diff.summary.modified}`,
+        ''
+    );
+
+    const list = (heading, entries) => {
+        if (!entries.length) return;
+        lines.push(`## ${heading}`, '');
+        for (const entry of entries) {
+            lines.push(`- [${citation(entry)}](${entry.url}) ${entry.section_title || ''}`.trimEnd());
+        }
+        lines.push('');
+    };
+    list('Added', diff.added);
+    list('Removed', diff.removed);
+    list('Repealed', diff.repealed);
+
+    if (diff.modified.length) {
+        lines.push('## Modified', '');
+        for (const entry of diff.modified) {
+            lines.push(`### [${citation(entry)}](${entry.url}) ${entry.section_title || ''}`.trimEnd(), '');
+            if (entry.previous_section_title !== undefined) {
+                lines.push(`Title changed from "${entry.previous_section_title}".`, '');
+            }
+            const text = entry.changes.map((change, i) => {
+                if (change.op === 'insert') return `**${change.text.trim()}**`;
+                if (change.op === 'delete') return `~~${change.text.trim()}~~`;
+                return elide(change.text, contextFor(entry.changes, i));
+            }).join(' ').replace(/ {2,}/g, ' ');
+            lines.push(text, '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function renderHtml(diff, meta = {}) {
+    const link = entry => `<a href="${escapeHtml(entry.url)}">${escapeHtml(citation(entry))}</a> ${escapeHtml(entry.section_title || '')}`;
+    const list = (heading, entries) => entries.length
+        ? `<h2>${heading}</h2>\n<ul>\n${entries.map(entry => `<li>${link(entry)}</li>`).join('\n')}\n</ul>`
+        : '';
+
+    const modified = diff.modified.map(entry => {
+        const text = entry.changes.map((change, i) => {
+            if (change.op === 'insert') return `<ins>${escapeHtml(change.text)}</ins>`;
+            if (change.op === 'delete') return `<del>${escapeHtml(change.text)}</del>`;
+            return escapeHtml(elide(change.text, contextFor(entry.changes, i)));
+        }).join('');
+        const retitled = entry.previous_section_title !== undefined
+            ? `<p class="note">Title changed from &quot;${escapeHtml(entry.previous_section_title)}&quot;.</p>`
+            : '';
+        return `<h3>${link(entry)}</h3>\n${retitled}<p>${text}</p>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Changes to the ${escapeHtml(diff.corpus)}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 50em; margin: 2em auto; line-height: 1.5; }
+ins { background: #d4f7d4; text-decoration: none; }
+del { background: #f7d4d4; }
+.note { font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Changes to the ${escapeHtml(diff.corpus)}</h1>
+${meta.from && meta.to ? `<p>Comparing <code>${escapeHtml(meta.from)}</code> to <code>${escapeHtml(meta.to)}</code>.</p>` : ''}
+<ul>
+<li>Added: ${diff.summary.added}</li>
+<li>Removed: ${diff.summary.removed}</li>
+<li>Repealed: ${diff.summary.repealed}</li>
+<li>Modified: ${diff.summary.modified}</li>
+</ul>
+${list('Added', diff.added)}
+${list('Removed', diff.removed)}
+${list('Repealed', diff.repealed)}
+${diff.modified.length ? '<h2>Modified</h2>' : ''}
+${modified}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    diffCorpora,
+    renderMarkdown,
+    renderHtml
+};
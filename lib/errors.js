@@ -0,0 +1,36 @@
+// A response with a status code we don't treat as a page, e.g. 404 or 503
+class HttpStatusError extends Error {
+    constructor(status, url, retryAfter = null) {
+        super(`Request failed with status ${status}: ${url}`);
+        this.name = 'HttpStatusError';
+        this.status = status;
+        this.url = url;
+        // Milliseconds the server asked us to wait, from its Retry-After header
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Statuses that say "not now" rather than "not ever"; every other 4xx is
+// permanent, and so won't come right by asking again
+const TRANSIENT_STATUSES = new Set([408, 425, 429]);
+
+// "http_404", "ECONNRESET", "TimeoutError": what kind of failure this was
+function errorType(error) {
+    if (error instanceof HttpStatusError) return `http_${error.status}`;
+    return error.code || error.name || 'Error';
+}
+
+// A missing page (404, 410) or a refused one stays that way; server errors,
+// rate limits, timeouts and dropped connections are worth another try
+function isTransient(error) {
+    if (error instanceof HttpStatusError) {
+        return error.status >= 500 || TRANSIENT_STATUSES.has(error.status);
+    }
+    return true;
+}
+
+module.exports = {
+    HttpStatusError,
+    errorType,
+    isTransient
+};
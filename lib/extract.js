@@ -0,0 +1,252 @@
+const cheerio = require('cheerio');
+const { parseStructure, renderText } = require('./structure');
+
+// Helper functions to parse the text
+function parsePartText(text) {
+    const match = text.match(/Part\s+([IVX]+)\s+(.*?)(?:\s+Chapters\.\s+(\d+-\d+)|$)/);
+    if (match) {
+        return {
+            part: match[1],
+            part_title: match[2].trim()
+        };
+    }
+    return null;
+}
+
+function parseTitleText(text) {
+    const match = text.match(/Title\s+([IVX]+)\s+(.*?)(?:\n|$)/);
+    if (match) {
+        return {
+            title: match[1],
+            title_name: match[2].trim()
+        };
+    }
+    return null;
+}
+
+function parseChapterText(text) {
+    const match = text.match(/Chapter\s+([\dA-Z]+)\s+(.*)/);
+    if (match) {
+        return {
+            chapter: match[1],
+            chapter_title: match[2].trim()
+        };
+    }
+    return null;
+}
+
+function absoluteUrl(href, pageUrl) {
+    return href ? new URL(href, pageUrl).href : '';
+}
+
+// Parts listed on the General Laws landing page
+function extractParts(html, pageUrl) {
+    const $ = cheerio.load(html);
+    return $('.generalLawsList > li > a').toArray().map(element => {
+        const text = $(element).text().trim();
+        const url = absoluteUrl($(element).attr('href'), pageUrl);
+        const parsed = parsePartText(text);
+        if (parsed) {
+            return { ...parsed, url };
+        }
+        return {
+            part: text,
+            part_title: $(element).attr('title'),
+            url
+        };
+    });
+}
+
+// Title panels in a part page's accordion, along with the arguments the page
+// passes to accordionAjaxLoad to fill in each panel's chapter list. index is
+// the panel's position among the '#accordion .panel' elements.
+function extractTitlePanels(html) {
+    const $ = cheerio.load(html);
+    const panels = [];
+    $('#accordion .panel').each((i, element) => {
+        const titleLink = $(element).find('.panel-title a').first();
+        const panelHeading = $(element).find('.panel-heading').first();
+        if (!titleLink.length || !panelHeading.length) return;
+
+        const headingText = panelHeading.text().trim();
+        const parsed = parseTitleText(headingText);
+        const match = (titleLink.attr('onclick') || '').match(/accordionAjaxLoad\('(\d+)',\s*'(\d+)',\s*'([^']+)'\)/);
+        if (!match) return;
+
+        panels.push({
+            index: i,
+            title: parsed ? parsed.title : titleLink.text().trim(),
+            title_name: parsed ? parsed.title_name : headingText,
+            partId: match[1],
+            titleId: match[2],
+            code: match[3]
+        });
+    });
+    return panels;
+}
+
+// Chapter links in a title's chapter list
+function extractChapters(html, pageUrl) {
+    const $ = cheerio.load(html);
+    return $('.generalLawsList a').toArray().map(element => {
+        const chapterText = $(element).text().trim();
+        const url = absoluteUrl($(element).attr('href'), pageUrl);
+        const parsed = parseChapterText(chapterText);
+        if (parsed) {
+            return { ...parsed, url };
+        }
+
+        // Fallback if regex doesn't match
+        const parts = chapterText.split(/\s+/);
+        return {
+            chapter: parts[1] || '',
+            chapter_title: parts.slice(2).join(' ').trim() || chapterText,
+            url
+        };
+    });
+}
+
+// Section links on a chapter page
+function extractSectionLinks(html, pageUrl) {
+    const $ = cheerio.load(html);
+    return $('ul.generalLawsList li a').toArray().map(element => ({
+        number: $(element).find('.section').text().trim(),
+        title: $(element).find('.sectionTitle').text().trim(),
+        url: absoluteUrl($(element).attr('href'), pageUrl)
+    }));
+}
+
+// Text nodes inside the navigation toolbar or the heading's <small> are not
+// part of the section body
+function isBoilerplateText($, node) {
+    if ($(node.parent).hasClass('genLawHeading')) return true;
+
+    let parent = node.parent;
+    while (parent && parent.type === 'tag') {
+        if ($(parent).hasClass('btn-toolbar')) return true;
+        if (parent.name === 'small' && $(parent).closest('.genLawHeading').length) return true;
+        parent = parent.parent;
+    }
+    return false;
+}
+
+// Elements that start a new paragraph of section text
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'br', 'li', 'ul', 'ol', 'table', 'tr', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+// Body text of a section page, one string per paragraph
+function extractSectionParagraphs(html) {
+    const $ = cheerio.load(html);
+    const contentContainer = $('.col-xs-12.col-md-8 .col-xs-12').first();
+    const paragraphs = [];
+    let current = '';
+
+    function flush() {
+        const text = current.replace(/\s+/g, ' ').trim();
+        if (text) {
+            paragraphs.push(text);
+        }
+        current = '';
+    }
+
+    function walk(node) {
+        for (const child of node.children || []) {
+            if (child.type === 'text') {
+                if (!isBoilerplateText($, child)) {
+                    current += child.data;
+                }
+            } else if (child.type === 'tag') {
+                const isBlock = BLOCK_TAGS.has(child.name);
+                if (isBlock) flush();
+                walk(child);
+                if (isBlock) flush();
+            }
+        }
+    }
+
+    if (contentContainer.length) {
+        walk(contentContainer[0]);
+        flush();
+    }
+    return paragraphs;
+}
+
+// The title in a section page's own heading, "Section 15B: <small>title</small>",
+// for fetching a section without its chapter's list
+function extractSectionTitle(html) {
+    const $ = cheerio.load(html);
+    return $('.genLawHeading small').first().text().replace(/\s+/g, ' ').trim();
+}
+
+// Section body as plain text plus its subsection tree, with the heading's title
+function extractSectionBody(html) {
+    const paragraphs = extractSectionParagraphs(html);
+    return {
+        section_title: extractSectionTitle(html),
+        full_text: renderText(paragraphs),
+        structure: parseStructure(paragraphs)
+    };
+}
+
+// Chapter links on a Session Laws year page, such as /Laws/SessionLaws/Acts/2019.
+// Links are picked out by where they point rather than by the page's layout;
+// the title is the link's own text after "Chapter 41", or else the rest of
+// its table row or list item.
+const SESSION_LAW_LINK = /\/Laws\/SessionLaws\/(?:Acts|Resolves)\/\d{4}\/Chapter([0-9A-Za-z]+)\/?$/i;
+
+function extractSessionLawLinks(html, pageUrl) {
+    const $ = cheerio.load(html);
+    const links = [];
+    const seen = new Set();
+
+    $('a[href]').each((i, element) => {
+        const url = absoluteUrl($(element).attr('href'), pageUrl);
+        const match = new URL(url).pathname.match(SESSION_LAW_LINK);
+        if (!match || seen.has(url)) return;
+        seen.add(url);
+
+        const text = $(element).text().replace(/\s+/g, ' ').trim();
+        let title = text.replace(/^Chapter\s+[0-9A-Za-z]+\s*[:.-]?\s*/i, '');
+        if (!title) {
+            const row = $(element).closest('tr, li');
+            title = row.length ? row.text().replace(/\s+/g, ' ').trim().replace(text, '').trim() : '';
+        }
+        links.push({ chapter: match[1].toUpperCase(), title, url });
+    });
+    return links;
+}
+
+// An act or resolve's page: its title ("AN ACT RELATIVE TO ..."), the date
+// it was approved, and its text from the enacting clause on
+function extractSessionLawPage(html) {
+    const paragraphs = extractSectionParagraphs(html);
+    const titleIndex = paragraphs.findIndex(p => /^(?:AN ACT|A?\s*RESOLVES?)\b/i.test(p));
+    let body = paragraphs.slice(titleIndex + 1);
+    if (titleIndex === -1 && /^Chapter\s+[0-9A-Za-z]+$/i.test(body[0] || '')) {
+        body = body.slice(1);
+    }
+    const approved = body.map(p => p.match(/\bApproved(?:\s+by\s+the\s+Governor)?,?\s+([A-Z][a-z]+\s+\d{1,2},\s*\d{4})/)).find(Boolean);
+
+    return {
+        title: titleIndex === -1 ? '' : paragraphs[titleIndex],
+        approved: approved ? approved[1] : null,
+        full_text: renderText(body)
+    };
+}
+
+module.exports = {
+    parsePartText,
+    parseTitleText,
+    parseChapterText,
+    extractParts,
+    extractTitlePanels,
+    extractChapters,
+    extractSectionLinks,
+    extractSectionParagraphs,
+    extractSectionTitle,
+    extractSectionBody,
+    extractSessionLawLinks,
+    extractSessionLawPage
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { errorType, isTransient } = require('./errors');
+const { writeAtomic } = require('./util');
+
+// Pages a crawl could not fetch, kept in failures.json in the store so that
+// later runs know about them. One entry per URL:
+//   { url, part, title, chapter, section, error_type, message, transient,
+//     attempts, first_failed_at, last_failed_at }
+// part, title and chapter are the records the page belongs to; section is
+// { number, title, position } for a section page and null when the chapter's
+// own page failed. Entries are dropped once the page is fetched.
+
+function createFailureLog(dir) {
+    const file = path.join(dir, 'failures.json');
+    const entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+
+    const save = () => writeAtomic(file, JSON.stringify(entries, null, 2));
+    const find = (url) => entries.find(e => e.url === url) || null;
+
+    // target: { url, part, title, chapter, section }
+    function record(target, error) {
+        const now = new Date().toISOString();
+        const previous = find(target.url);
+        const entry = {
+            url: target.url,
+            part: target.part,
+            title: target.title,
+            chapter: target.chapter,
+            section: target.section || null,
+            error_type: errorType(error),
+            message: error.message,
+            transient: isTransient(error),
+            attempts: (previous ? previous.attempts : 0) + 1,
+            first_failed_at: previous ? previous.first_failed_at : now,
+            last_failed_at: now
+        };
+        if (previous) {
+            entries[entries.indexOf(previous)] = entry;
+        } else {
+            entries.push(entry);
+        }
+        save();
+        return entry;
+    }
+
+    function resolve(url) {
+        const previous = find(url);
+        if (previous) {
+            entries.splice(entries.indexOf(previous), 1);
+            save();
+        }
+    }
+
+    // A page that failed in a way asking again won't fix
+    const isPermanent = (url) => {
+        const entry = find(url);
+        return Boolean(entry && !entry.transient);
+    };
+
+    return {
+        file,
+        list: () => [...entries],
+        find,
+        record,
+        resolve,
+        isPermanent
+    };
+}
+
+module.exports = {
+    createFailureLog
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpStatusError } = require('./errors');
+
+// Pages saved from the site, laid out by host and path so a fixture directory
+// can be browsed: https://malegislature.gov/Laws/GeneralLaws/PartII becomes
+// <dir>/malegislature.gov/Laws/GeneralLaws/PartII.html. Query parameters
+// (the accordion endpoint's partId, titleId and code) go into the file name.
+function fixturePath(dir, url, params = {}) {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(params)) {
+        target.searchParams.set(key, value);
+    }
+
+    const segments = target.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (!segments.length) {
+        segments.push('index');
+    }
+    if (target.search) {
+        segments[segments.length - 1] += '__' + target.search.slice(1);
+    }
+
+    const safe = segments.map(segment => segment.replace(/[^A-Za-z0-9._=-]/g, '_'));
+    return path.join(dir, target.hostname, ...safe) + '.html';
+}
+
+// Wrap a transport so every page it fetches is also written to dir
+function createRecordingTransport(transport, dir) {
+    function save(url, params, html) {
+        const file = fixturePath(dir, url, params);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, html);
+        return html;
+    }
+
+    return {
+        get: async (url, params) => save(url, params, await transport.get(url, params)),
+        // Pages a cache answers without a request are recorded too
+        fresh(url, params) {
+            const html = transport.fresh ? transport.fresh(url, params) : null;
+            return html === null ? null : save(url, params, html);
+        },
+        close: () => transport.close()
+    };
+}
+
+// Serve pages from a fixture directory instead of the network. Pages that were
+// never recorded answer 404.
+function createReplayTransport(dir) {
+    return {
+        async get(url, params) {
+            const file = fixturePath(dir, url, params);
+            if (!fs.existsSync(file)) {
+                throw new HttpStatusError(404, url);
+            }
+            return fs.readFileSync(file, 'utf8');
+        },
+        close: async () => {}
+    };
+}
+
+module.exports = {
+    fixturePath,
+    createRecordingTransport,
+    createReplayTransport
+};
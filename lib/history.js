@@ -0,0 +1,141 @@
+// Legislative history: the session-law acts a section's notes say inserted,
+// amended, rewrote or repealed it, e.g.
+//   [Subsection (m) inserted by 2018, 69, Sec. 5 effective July 1, 2018.]
+//   Repealed, 1973, 1114, Sec. 62
+// become
+//   { action: 'inserted', year: 2018, chapter: '69', section: '5',
+//     effective: '2018-07-01', url: '.../Laws/SessionLaws/Acts/2018/Chapter69' }
+
+// The Session Laws on the site start with the 1997 session; older acts have
+// no page to link to
+const SESSION_LAWS_FIRST_YEAR = 1997;
+const SESSION_LAWS_URL = 'https://malegislature.gov/Laws/SessionLaws/Acts';
+
+const ACTIONS = {
+    inserted: 'inserted',
+    added: 'inserted',
+    amended: 'amended',
+    rewritten: 'rewritten',
+    revised: 'rewritten',
+    substituted: 'rewritten',
+    'struck out': 'stricken',
+    stricken: 'stricken',
+    repealed: 'repealed',
+    renumbered: 'renumbered'
+};
+
+const ACTION_PATTERN = new RegExp(`\\b(${Object.keys(ACTIONS).join('|').replace(/ /g, '\\s+')})\\b(?:\\s+by|\\s*,)\\s*`, 'gi');
+
+// "1973, 1114, Sec. 62", "St. 1996, c. 151, § 218", "1981, 351, Secs. 2-4";
+// a number that reads as the year of the next act ends the list of sections
+const ACT_PATTERN = /(?:St\.\s*)?(\d{4})\s*,\s*(?:c(?:h(?:apter)?)?\.?\s*)?(\d+[A-Z]*)\b(?:\s*,?\s*(?:Secs?\.|Sections?|§+)\s*(\d+[A-Z]*(?:½)?(?:\s*(?:-|to|and|,)\s*(?!\d{4}\s*,)\d+[A-Z]*(?:½)?)*))?/iy;
+const ACT_SEPARATOR = /\s*(?:,|;|and)?\s*/y;
+const EFFECTIVE_PATTERN = /^\s*,?\s*effective\s+([A-Z][a-z]+\s+\d{1,2},\s*\d{4})/;
+
+function sessionLawUrl(year, chapter) {
+    if (year < SESSION_LAWS_FIRST_YEAR) return null;
+    return `${SESSION_LAWS_URL}/${year}/Chapter${chapter}`;
+}
+
+// "2 and 3a" -> "2 and 3A"
+function normalizeSections(text) {
+    return text.replace(/\s+/g, ' ').replace(/\d+[a-z]*/gi, number => number.toUpperCase());
+}
+
+// The run of acts starting at text[start], with the index it ends at
+function readActs(text, start) {
+    const acts = [];
+    let index = start;
+    for (;;) {
+        ACT_PATTERN.lastIndex = index;
+        const match = ACT_PATTERN.exec(text);
+        if (!match) break;
+        acts.push({
+            year: Number(match[1]),
+            chapter: match[2].toUpperCase(),
+            section: match[3] ? normalizeSections(match[3]) : null
+        });
+        index = ACT_PATTERN.lastIndex;
+        ACT_SEPARATOR.lastIndex = index;
+        ACT_SEPARATOR.exec(text);
+        if (ACT_SEPARATOR.lastIndex === index) break;
+        index = ACT_SEPARATOR.lastIndex;
+    }
+    return { acts, end: index };
+}
+
+// The first act cited in a note, { year, chapter, section }, or null
+function parseAct(note) {
+    const start = note.search(/(?:St\.\s*)?\d{4}\s*,/);
+    if (start === -1) return null;
+    return readActs(note, start).acts[0] || null;
+}
+
+function toIsoDate(text) {
+    const date = new Date(`${text} UTC`);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+// History records for the notes in a section's title and text, in the order
+// they appear
+function parseHistory(...notes) {
+    const history = [];
+    const seen = new Set();
+
+    for (const text of notes.filter(Boolean)) {
+        ACTION_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = ACTION_PATTERN.exec(text))) {
+            const action = ACTIONS[match[1].toLowerCase().replace(/\s+/g, ' ')];
+            const { acts, end } = readActs(text, ACTION_PATTERN.lastIndex);
+            if (!acts.length) continue;
+
+            const effective = text.slice(end).match(EFFECTIVE_PATTERN);
+            for (const act of acts) {
+                const key = [action, act.year, act.chapter, act.section].join(':');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                history.push({
+                    action,
+                    ...act,
+                    effective: effective ? toIsoDate(effective[1]) : null,
+                    url: sessionLawUrl(act.year, act.chapter)
+                });
+            }
+            ACTION_PATTERN.lastIndex = end;
+        }
+    }
+    return history;
+}
+
+// "St. 2019, c. 41, § 2"
+function actCitation(record) {
+    return `St. ${record.year}, c. ${record.chapter}${record.section ? `, § ${record.section}` : ''}`;
+}
+
+// The history of a saved section, parsing records written before the field
+// existed
+function sectionHistory(section) {
+    return section.history || parseHistory(section.section_title, section.full_text);
+}
+
+// The most recent record, by year and then effective date
+function lastChange(history) {
+    return (history || []).reduce((latest, record) => {
+        if (!latest) return record;
+        if (record.year !== latest.year) return record.year > latest.year ? record : latest;
+        return (record.effective || '') > (latest.effective || '') ? record : latest;
+    }, null);
+}
+
+module.exports = {
+    SESSION_LAWS_FIRST_YEAR,
+    SESSION_LAWS_URL,
+    sessionLawUrl,
+    actCitation,
+    parseAct,
+    toIsoDate,
+    parseHistory,
+    sectionHistory,
+    lastChange
+};
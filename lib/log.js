@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+// The crawlers' log. Every line has a level and a message, and may carry
+// fields for the records that read it as data:
+//   log.warn(`Attempt 1 failed: ${error.message}`, { url, error_type: 'timeout' })
+// Lines at the configured level and above are printed, as their message
+// ("text") or as one JSON object per line ("json"):
+//   {"time":"2026-10-18T14:03:09.120Z","level":"warn","msg":"Attempt 1 failed: ...","url":"...","error_type":"timeout"}
+// debug and info go to stdout, warn and error to stderr. A run log opened
+// with logToFile() gets every line in the JSON form, debug included.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+
+const settings = { level: 'info', format: 'text' };
+const files = new Set();
+// Something drawn on the terminal, such as the progress line, that printed
+// lines must not run into: { clear(), redraw() }
+let display = null;
+
+// level and format, each left as it is when not given
+function configureLogging(options = {}) {
+    if (options.level !== undefined) {
+        if (!LEVELS[options.level]) {
+            throw new Error(`Unknown log level "${options.level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+        settings.level = options.level;
+    }
+    if (options.format !== undefined) {
+        if (!FORMATS.includes(options.format)) {
+            throw new Error(`Unknown log format "${options.format}", expected one of: ${FORMATS.join(', ')}`);
+        }
+        settings.format = options.format;
+    }
+    return { ...settings };
+}
+
+function write(level, message, fields = {}) {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields });
+    for (const fd of files) {
+        fs.writeSync(fd, `${line}\n`);
+    }
+    if (LEVELS[level] < LEVELS[settings.level]) return;
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    display?.clear();
+    stream.write(settings.format === 'json' ? `${line}\n` : `${message}\n`);
+    display?.redraw();
+}
+
+// Append every line from now on to a file of JSON lines; returns the function
+// that closes it again
+function logToFile(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(file, 'a');
+    files.add(fd);
+    return () => {
+        if (files.delete(fd)) fs.closeSync(fd);
+    };
+}
+
+function setDisplay(next) {
+    display = next;
+}
+
+const log = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    log,
+    configureLogging,
+    logToFile,
+    setDisplay
+};
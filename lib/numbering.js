@@ -0,0 +1,129 @@
+// Section numbers the way the General Laws assign them. A section inserted
+// after 15 is 15A, then 15B and on to 15Z, then 15AA, 15BB and so on; one
+// inserted after 2 without a letter is 2½. So within a number the letters run
+// shortest first, and a ½ follows what it is attached to:
+//   1, 1A, 2, 2½, 2A, 2A½, 2B, ..., 2Z, 2AA, 3
+
+// 15, 15B, 15AA, 2½, "2 1/2", 6A½
+const SECTION_NUMBER = /^(\d+)([A-Z]*)(?:\s?½|\s1\/2)?$/i;
+
+const ROMAN = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+// "XLIX" -> 49, or NaN for something that isn't a roman numeral. The
+// Constitution numbers its parts, chapters and articles this way.
+function romanToNumber(text) {
+    const letters = String(text).trim().toUpperCase();
+    if (!/^[IVXLCDM]+$/.test(letters)) return NaN;
+    let total = 0;
+    for (let i = 0; i < letters.length; i++) {
+        const value = ROMAN[letters[i]];
+        total += value < (ROMAN[letters[i + 1]] || 0) ? -value : value;
+    }
+    return total;
+}
+
+// { number, letters, half } or null for something that isn't a section number
+function parseSectionNumber(value) {
+    const text = String(value).trim();
+    const match = text.match(SECTION_NUMBER);
+    if (!match) return null;
+    return {
+        number: Number(match[1]),
+        letters: match[2].toUpperCase(),
+        half: /½|1\/2$/.test(text)
+    };
+}
+
+// Sorts like Array.prototype.sort expects. Numbers that can't be read go last,
+// in plain string order.
+function compareSectionNumbers(a, b) {
+    const x = parseSectionNumber(a);
+    const y = parseSectionNumber(b);
+    if (!x || !y) {
+        if (x) return -1;
+        if (y) return 1;
+        return String(a).toUpperCase().localeCompare(String(b).toUpperCase());
+    }
+    return x.number - y.number ||
+        x.letters.length - y.letters.length ||
+        (x.letters < y.letters ? -1 : x.letters > y.letters ? 1 : 0) ||
+        Number(x.half) - Number(y.half);
+}
+
+// "15b" and "15B", "2 1/2" and "2½" are the same section
+const sameSectionNumber = (a, b) => compareSectionNumbers(a, b) === 0;
+
+// A copy of a chapter's section records in code order. Records with the same
+// number keep the order they came in.
+function sortSections(sections) {
+    return [...sections].sort((a, b) => compareSectionNumbers(a.section, b.section));
+}
+
+// Numbers missing between two neighbours: whole numbers (4 between 3 and 5)
+// and single letters (15B between 15A and 15C)
+function missingBetween(previous, next) {
+    if (next.number > previous.number) {
+        const missing = [];
+        for (let n = previous.number + 1; n < next.number; n++) missing.push(String(n));
+        return missing;
+    }
+    if (next.number === previous.number && previous.letters.length <= 1 && next.letters.length === 1 && !next.half) {
+        const from = previous.letters ? previous.letters.charCodeAt(0) + 1 : 'A'.charCodeAt(0);
+        const missing = [];
+        for (let c = from; c < next.letters.charCodeAt(0); c++) missing.push(`${next.number}${String.fromCharCode(c)}`);
+        return missing;
+    }
+    return [];
+}
+
+// Numbering problems in one chapter's sections:
+//   { duplicates: ['15B'], gaps: [{ after: '3', before: '5', missing: ['4'] }],
+//     unreadable: ['X'] }
+// Gaps are worth a look but not always wrong: some numbers were never used.
+function chapterNumbering(sections) {
+    const numbers = sections.map(s => s.section);
+    const duplicates = [];
+    const unreadable = numbers.filter(n => !parseSectionNumber(n));
+    const sorted = numbers.filter(n => parseSectionNumber(n)).sort(compareSectionNumbers);
+    const gaps = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+        if (sameSectionNumber(sorted[i - 1], sorted[i])) {
+            if (!duplicates.some(d => sameSectionNumber(d, sorted[i]))) duplicates.push(sorted[i]);
+            continue;
+        }
+        const missing = missingBetween(parseSectionNumber(sorted[i - 1]), parseSectionNumber(sorted[i]));
+        if (missing.length) {
+            gaps.push({ after: sorted[i - 1], before: sorted[i], missing });
+        }
+    }
+
+    return { duplicates, gaps, unreadable };
+}
+
+// chapterNumbering() for every chapter with something to report:
+// [{ chapter, duplicates, gaps, unreadable }]
+function numberingReport(laws) {
+    const report = [];
+    for (const part of laws.parts || []) {
+        for (const title of part.titles || []) {
+            for (const chapter of title.chapters || []) {
+                const entry = { chapter: chapter.chapter, ...chapterNumbering(chapter.sections || []) };
+                if (entry.duplicates.length || entry.gaps.length || entry.unreadable.length) {
+                    report.push(entry);
+                }
+            }
+        }
+    }
+    return report;
+}
+
+module.exports = {
+    romanToNumber,
+    parseSectionNumber,
+    compareSectionNumbers,
+    sameSectionNumber,
+    sortSections,
+    chapterNumbering,
+    numberingReport
+};
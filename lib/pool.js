@@ -0,0 +1,27 @@
+const DEFAULT_CONCURRENCY = 6;
+
+// Run fn over items with at most `concurrency` calls in flight. Results come
+// back in the order of items, however the calls happen to finish.
+async function mapPool(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    mapPool
+};
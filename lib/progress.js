@@ -0,0 +1,164 @@
+const { log, configureLogging, setDisplay } = require('./log');
+const { formatDuration } = require('./report');
+
+// Where a crawl is and how long it has left. On a terminal this is one line,
+// redrawn in place under the log:
+//   Part II › Title I › Chapter 186  [######..............] 1234/4120 sections  3 failed  ETA 1h 2m 5s
+// Anywhere else, or with JSON logs, the same figures are logged every minute
+// as an info line with a progress field. The number of sections still to come
+// is a guess until every chapter has been listed: chapters not listed yet are
+// counted at the average size of those that have been. The time left is
+// reckoned from the sections fetched from the site this run, not from those a
+// resumed crawl skips because they are already saved.
+
+const PLAIN_INTERVAL = 60000;
+const REDRAW_INTERVAL = 100;
+const BAR_WIDTH = 20;
+
+// options: stream (process.stderr), interactive (whether to draw on the
+// terminal; by default when stream is a terminal and the log is text), now
+// (a clock, for tests)
+function createProgress(options = {}) {
+    const stream = options.stream || process.stderr;
+    const interactive = options.interactive ?? (Boolean(stream.isTTY) && configureLogging().format === 'text');
+    const now = options.now || Date.now;
+    const startedAt = now();
+
+    const position = {};
+    // unlisted: chapters finished without their sections being listed, whose
+    // size stays unknown
+    const chapters = { total: 0, listed: 0, unlisted: 0, done: 0 };
+    let currentListed = false;
+    const sections = { listed: 0, done: 0, fetched: 0 };
+    let failures = 0;
+    let drawnAt = 0;
+    let loggedAt = startedAt;
+    let shown = false;
+    let stopped = false;
+
+    // { chapters, sections: { done, total, fetched }, failed, elapsed_ms, eta_ms }
+    function snapshot() {
+        const average = chapters.listed ? sections.listed / chapters.listed : 0;
+        const total = Math.round(sections.listed + average * Math.max(0, chapters.total - chapters.listed - chapters.unlisted));
+        const elapsed = now() - startedAt;
+        const left = Math.max(0, total - sections.done);
+        return {
+            ...position,
+            chapters: { done: chapters.done, total: chapters.total },
+            sections: { done: sections.done, total, fetched: sections.fetched },
+            failed: failures,
+            elapsed_ms: elapsed,
+            eta_ms: sections.fetched ? Math.round(elapsed * left / sections.fetched) : null
+        };
+    }
+
+    function where() {
+        return [
+            position.part && `Part ${position.part}`,
+            position.title && `Title ${position.title}`,
+            position.chapter && `Chapter ${position.chapter}`
+        ].filter(Boolean).join(' › ');
+    }
+
+    function describe(state) {
+        const eta = state.eta_ms === null ? 'ETA unknown' : `ETA ${formatDuration(state.eta_ms)}`;
+        return `${state.sections.done}/${state.sections.total} sections  ${state.failed} failed  ${eta}`;
+    }
+
+    function clear() {
+        if (shown) {
+            stream.write('\r\x1b[K');
+            shown = false;
+        }
+    }
+
+    function redraw() {
+        if (!interactive || stopped) return;
+        const state = snapshot();
+        const share = state.sections.total ? Math.min(1, state.sections.done / state.sections.total) : 0;
+        const filled = Math.round(share * BAR_WIDTH);
+        const bar = `[${'#'.repeat(filled)}${'.'.repeat(BAR_WIDTH - filled)}]`;
+        const line = `${where()}  ${bar} ${describe(state)}`;
+        // A line wider than the terminal wraps and can't be redrawn in place
+        const width = stream.columns ? stream.columns - 1 : line.length;
+        stream.write(`\r\x1b[K${line.slice(0, width)}`);
+        shown = true;
+        drawnAt = now();
+    }
+
+    function changed() {
+        if (stopped) return;
+        if (interactive) {
+            if (now() - drawnAt >= REDRAW_INTERVAL) redraw();
+        } else if (now() - loggedAt >= PLAIN_INTERVAL) {
+            loggedAt = now();
+            const state = snapshot();
+            log.info(`Progress: ${where() || 'starting'}, ${describe(state)}`, { progress: state });
+        }
+    }
+
+    if (interactive) {
+        setDisplay({ clear, redraw });
+    }
+
+    return {
+        interactive,
+        snapshot,
+
+        // Chapters in the crawl's scope, as each part's titles are read
+        addChapters(count) {
+            chapters.total += count;
+            changed();
+        },
+
+        // The part, title and chapter being crawled
+        at(place) {
+            Object.assign(position, place);
+            currentListed = false;
+            changed();
+        },
+
+        // The current chapter listed this many sections
+        listed(count) {
+            chapters.listed++;
+            currentListed = true;
+            sections.listed += count;
+            changed();
+        },
+
+        // Sections finished, whether fetched, skipped or failed
+        sections(count = 1) {
+            sections.done += count;
+            changed();
+        },
+
+        // Sections fetched from the site, ahead of the sections() call that
+        // counts them as finished
+        fetched(count = 1) {
+            sections.fetched += count;
+        },
+
+        failed(count = 1) {
+            failures += count;
+            changed();
+        },
+
+        chapterDone() {
+            chapters.done++;
+            if (!currentListed) chapters.unlisted++;
+            currentListed = false;
+            changed();
+        },
+
+        stop() {
+            if (stopped) return;
+            clear();
+            stopped = true;
+            if (interactive) setDisplay(null);
+        }
+    };
+}
+
+module.exports = {
+    createProgress
+};
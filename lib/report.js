@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { snapshotStamp } = require('./snapshots');
+const { writeAtomic } = require('./util');
+
+// What a crawl found and fetched, saved as runs/<date>.json in the store and
+// compared with the run before it:
+//   { started_at, finished_at, runtime_ms, backend, scope,
+//     totals: { parts, titles, chapters, sections_listed, sections_selected,
+//               sections_fetched, sections_skipped, sections_skipped_inactive,
+//               sections_skipped_failed, sections_empty, failures, pages,
+//               pages_per_minute },
+//     chapters: { '186': { listed, selected, fetched } },
+//     empty_sections: ['c. 186, § 3'],
+//     failures: { http_404: 1 },
+//     warnings: ['Chapter 186 lists no sections, 3 in the previous run'] }
+// listed is what the chapter page lists and selected the part of it a crawl
+// narrowed by --sections takes in (all of it otherwise); the sections
+// fetched, skipped and so on add up to selected. pages counts the pages asked
+// for: the index, each part page and title chapter list, each chapter page and
+// each section page.
+
+// A total that falls by more than this share since the previous run is flagged
+const DROP_THRESHOLD = 0.1;
+
+const TOTALS_COMPARED = ['parts', 'titles', 'chapters', 'sections_listed'];
+
+function createRunReport(options = {}) {
+    const startedAt = new Date();
+    const totals = {
+        parts: 0,
+        titles: 0,
+        chapters: 0,
+        sections_listed: 0,
+        sections_selected: 0,
+        sections_fetched: 0,
+        sections_skipped: 0,
+        sections_skipped_inactive: 0,
+        sections_skipped_failed: 0,
+        sections_empty: 0,
+        pages: 0
+    };
+    const chapters = {};
+    // The chapters whose listing has been counted
+    const listedChapters = new Set();
+    const emptySections = [];
+
+    const chapterEntry = (chapter) => {
+        const key = String(chapter.chapter).toUpperCase();
+        return (chapters[key] = chapters[key] || { listed: 0, selected: 0, fetched: 0 });
+    };
+
+    return {
+        startedAt,
+
+        pages(count = 1) {
+            totals.pages += count;
+        },
+
+        part() {
+            totals.parts++;
+        },
+
+        title() {
+            totals.titles++;
+        },
+
+        // A chapter listed again, such as by the final retry pass, is counted
+        // once, with what it lists the last time
+        chapter(chapter, listed, selected = listed) {
+            const entry = chapterEntry(chapter);
+            if (listedChapters.has(entry)) {
+                totals.sections_listed -= entry.listed;
+                totals.sections_selected -= entry.selected;
+            } else {
+                listedChapters.add(entry);
+                totals.chapters++;
+            }
+            totals.sections_listed += listed;
+            totals.sections_selected += selected;
+            entry.listed = listed;
+            entry.selected = selected;
+        },
+
+        // outcome: fetched, skipped (already saved), inactive (saved as
+        // repealed or the like, so not fetched again) or failed (failed for
+        // good on an earlier run)
+        section(chapter, outcome, record) {
+            if (outcome === 'fetched') {
+                totals.sections_fetched++;
+                chapterEntry(chapter).fetched++;
+                if (record && record.status === 'active' && !(record.full_text || '').trim()) {
+                    totals.sections_empty++;
+                    emptySections.push(`c. ${chapter.chapter}, § ${record.section}`);
+                }
+            } else if (outcome === 'inactive') {
+                totals.sections_skipped_inactive++;
+            } else if (outcome === 'failed') {
+                totals.sections_skipped_failed++;
+            } else {
+                totals.sections_skipped++;
+            }
+        },
+
+        // The finished report. failures are the failure log entries of this
+        // run, previous the report of the run before it (or null).
+        finish(failures, previous) {
+            const finishedAt = new Date();
+            const runtime = finishedAt - startedAt;
+            const byType = {};
+            for (const failure of failures) {
+                byType[failure.error_type] = (byType[failure.error_type] || 0) + 1;
+            }
+
+            const report = {
+                started_at: startedAt.toISOString(),
+                finished_at: finishedAt.toISOString(),
+                runtime_ms: runtime,
+                backend: options.backend || null,
+                scope: options.scope || {},
+                totals: {
+                    ...totals,
+                    failures: failures.length,
+                    pages_per_minute: runtime > 0 ? Math.round(totals.pages / (runtime / 60000) * 10) / 10 : 0
+                },
+                chapters,
+                empty_sections: emptySections,
+                failures: byType
+            };
+            report.warnings = previous ? compareRuns(report, previous) : [];
+            return report;
+        }
+    };
+}
+
+const sameScope = (a, b) => JSON.stringify(a || {}) === JSON.stringify(b || {});
+
+// Drops since the previous run that deserve a look. Whole-run totals are only
+// compared between runs of the same scope; chapters are compared wherever
+// both runs listed them.
+function compareRuns(report, previous) {
+    const warnings = [];
+
+    if (sameScope(report.scope, previous.scope)) {
+        for (const key of TOTALS_COMPARED) {
+            const before = previous.totals[key] || 0;
+            const now = report.totals[key] || 0;
+            if (before > 0 && now < before * (1 - DROP_THRESHOLD)) {
+                warnings.push(`${key.replace('_', ' ')} fell from ${before} to ${now}`);
+            }
+        }
+    }
+
+    for (const [chapter, counts] of Object.entries(report.chapters)) {
+        const before = previous.chapters?.[chapter]?.listed || 0;
+        if (before === 0) continue;
+        if (counts.listed === 0) {
+            warnings.push(`Chapter ${chapter} lists no sections, ${before} in the previous run`);
+        } else if (counts.listed < before * (1 - DROP_THRESHOLD)) {
+            warnings.push(`Chapter ${chapter} lists ${counts.listed} sections, ${before} in the previous run`);
+        }
+    }
+
+    return warnings;
+}
+
+function reportDir(storeDir) {
+    return path.join(storeDir, 'runs');
+}
+
+function saveReport(storeDir, report) {
+    const file = path.join(reportDir(storeDir), `${snapshotStamp(new Date(report.finished_at))}.json`);
+    writeAtomic(file, JSON.stringify(report, null, 2));
+    return file;
+}
+
+// The most recent saved report, or null
+function latestReport(storeDir) {
+    const dir = reportDir(storeDir);
+    if (!fs.existsSync(dir)) return null;
+    const latest = fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort().pop();
+    return latest ? JSON.parse(fs.readFileSync(path.join(dir, latest), 'utf8')) : null;
+}
+
+// 3725000 -> "1h 2m 5s", 250000 -> "4m 10s", 12000 -> "12s"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds / 60) % 60;
+    const s = seconds % 60;
+    return h ? `${h}h ${m}m ${s}s` : m ? `${m}m ${s}s` : `${s}s`;
+}
+
+function renderReport(report) {
+    const t = report.totals;
+    const lines = [
+        'Coverage report',
+        `  Parts ${t.parts}, titles ${t.titles}, chapters ${t.chapters}`,
+        `  Sections listed ${t.sections_listed}${t.sections_selected !== t.sections_listed ? ` (${t.sections_selected} in scope)` : ''}: fetched ${t.sections_fetched}, already saved ${t.sections_skipped}, ` +
+            `repealed or inactive ${t.sections_skipped_inactive}, failed earlier ${t.sections_skipped_failed}`,
+        `  Empty sections ${t.sections_empty}${report.empty_sections.length ? ` (${report.empty_sections.slice(0, 10).join('; ')}${report.empty_sections.length > 10 ? '; …' : ''})` : ''}`,
+        `  Failures ${t.failures}${t.failures ? ` (${Object.entries(report.failures).map(([type, count]) => `${type} ${count}`).join(', ')})` : ''}`,
+        `  ${t.pages} pages in ${formatDuration(report.runtime_ms)}, ${t.pages_per_minute} pages per minute`
+    ];
+    if (report.warnings.length) {
+        lines.push('Compared with the previous run:');
+        lines.push(...report.warnings.map(w => `  ! ${w}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    DROP_THRESHOLD,
+    createRunReport,
+    compareRuns,
+    saveReport,
+    latestReport,
+    renderReport,
+    formatDuration
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+const Ajv = require('ajv/dist/2020');
+const { eachSection, sectionKey } = require('./corpus');
+const { sectionStatus } = require('./status');
+
+// The corpus format is published as schema/corpus.schema.json, for the
+// SCHEMA_VERSION in lib/corpus.js
+const SCHEMA_FILE = path.join(__dirname, '..', 'schema', 'corpus.schema.json');
+
+let compiled = null;
+function schemaValidator() {
+    if (!compiled) {
+        compiled = new Ajv({ allErrors: true }).compile(require(SCHEMA_FILE));
+    }
+    return compiled;
+}
+
+// Problems a schema can't express: numbers used twice, active sections with
+// no text, records with no URL back to the site
+function semanticProblems(laws) {
+    const problems = [];
+    const chapters = new Map();
+    const sections = new Set();
+
+    for (const [p, part] of (laws.parts || []).entries()) {
+        if (!part.url) {
+            problems.push({ path: `/parts/${p}`, message: `Part ${part.part} has no url` });
+        }
+        for (const [t, title] of (part.titles || []).entries()) {
+            for (const [c, chapter] of (title.chapters || []).entries()) {
+                const at = `/parts/${p}/titles/${t}/chapters/${c}`;
+                const number = String(chapter.chapter).toUpperCase();
+                if (chapters.has(number)) {
+                    problems.push({ path: at, message: `Chapter ${chapter.chapter} also appears at ${chapters.get(number)}` });
+                } else {
+                    chapters.set(number, at);
+                }
+                if (!chapter.url) {
+                    problems.push({ path: at, message: `Chapter ${chapter.chapter} has no url` });
+                }
+            }
+        }
+    }
+
+    for (const { chapter, section } of eachSection(laws)) {
+        const citation = `c. ${chapter.chapter}, § ${section.section}`;
+        const key = sectionKey(chapter.chapter, section.section);
+        if (sections.has(key)) {
+            problems.push({ citation, message: 'Section number appears more than once in the chapter' });
+        }
+        sections.add(key);
+
+        if (sectionStatus(section) === 'active' && !(section.full_text || '').trim()) {
+            problems.push({ citation, message: 'Active section has no text' });
+        }
+        if (!section.url) {
+            problems.push({ citation, message: 'Section has no url' });
+        }
+    }
+
+    return problems;
+}
+
+// { errors, problems }: schema violations as { path, message }, then the
+// semantic problems, which carry a citation where a section is at fault
+function validateCorpus(laws) {
+    const validate = schemaValidator();
+    const errors = validate(laws)
+        ? []
+        : validate.errors.map(error => ({ path: error.instancePath || '/', message: error.message }));
+    return { errors, problems: semanticProblems(laws) };
+}
+
+module.exports = {
+    SCHEMA_FILE,
+    validateCorpus
+};
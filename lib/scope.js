@@ -0,0 +1,63 @@
+const { compareSectionNumbers, sameSectionNumber } = require('./numbering');
+const { log } = require('./log');
+
+// Narrowing a crawl to particular parts, titles, chapters and sections.
+// A scope looks like { part: 'II', title: 'I', chapter: '186', sections: '1-15B' };
+// every field is optional and part/title/chapter accept comma-separated lists.
+
+function parseList(value) {
+    if (!value) return null;
+    return String(value).split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+}
+
+function inList(list, value) {
+    return !list || list.includes(String(value).toUpperCase());
+}
+
+function createScope(options = {}) {
+    const scope = {
+        parts: parseList(options.part),
+        titles: parseList(options.title),
+        chapters: parseList(options.chapter),
+        sections: options.sections || null
+    };
+
+    if (scope.sections && (!scope.chapters || scope.chapters.length !== 1)) {
+        throw new Error('A section range needs exactly one chapter');
+    }
+
+    return scope;
+}
+
+const includesPart = (scope, part) => inList(scope.parts, part.part);
+const includesTitle = (scope, title) => inList(scope.titles, title.title);
+const includesChapter = (scope, chapter) => inList(scope.chapters, chapter.chapter);
+
+// Pick sections out of a chapter listing by a spec like "1-15B,20". A range
+// takes in every section numbered from its first to its last, in the order
+// the code numbers them (see lib/numbering.js), so either end may be a number
+// the chapter doesn't list.
+function selectSections(sections, spec) {
+    if (!spec) return sections;
+
+    const ranges = String(spec).split(',').map(t => t.trim()).filter(Boolean).map(token => {
+        const [from, to = from] = token.split('-').map(t => t.trim());
+        return compareSectionNumbers(from, to) <= 0 ? [from, to] : [to, from];
+    });
+    for (const [from, to] of ranges) {
+        if (sameSectionNumber(from, to) && !sections.some(s => sameSectionNumber(s.number, from))) {
+            log.warn(`Section ${from} is not listed in this chapter`, { section: from });
+        }
+    }
+
+    return sections.filter(section => ranges.some(([from, to]) =>
+        compareSectionNumbers(from, section.number) <= 0 && compareSectionNumbers(section.number, to) <= 0));
+}
+
+module.exports = {
+    createScope,
+    includesPart,
+    includesTitle,
+    includesChapter,
+    selectSections
+};
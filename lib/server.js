@@ -0,0 +1,246 @@
+const http = require('http');
+const crypto = require('crypto');
+const { eachSection, sectionKey } = require('./corpus');
+const { sectionStatus } = require('./status');
+const { createSearchIndex } = require('./sqlite');
+
+// A read-only JSON API over a loaded corpus:
+//   GET /parts                                   parts, paginated
+//   GET /parts/:part                             a part and its titles
+//   GET /parts/:part/titles/:title               a title and its chapters
+//   GET /chapters                                chapters, paginated
+//   GET /chapters/:chapter                       a chapter and its section list
+//   GET /chapters/:chapter/sections              sections of a chapter, paginated
+//   GET /chapters/:chapter/sections/:section     one section record
+//   GET /search?q=...&chapter=&status=           ranked full-text hits, paginated
+// A single record comes back as { data }, a list as
+// { data: [...], pagination: { offset, limit, total } }, and an error as
+// { error: { status, message } }. Lists take ?offset= and ?limit=. Every
+// response carries an ETag and a matching If-None-Match gets a 304.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const upper = (value) => String(value).toUpperCase();
+
+function pagination(query) {
+    const read = (name, fallback, min) => {
+        if (!query.has(name)) return fallback;
+        const value = Number(query.get(name));
+        if (!Number.isInteger(value) || value < min) {
+            throw new RequestError(400, `${name} must be a whole number of at least ${min}`);
+        }
+        return value;
+    };
+    return {
+        offset: read('offset', 0, 0),
+        limit: Math.min(read('limit', DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+}
+
+function page(items, query) {
+    const { offset, limit } = pagination(query);
+    return {
+        data: items.slice(offset, offset + limit),
+        pagination: { offset, limit, total: items.length }
+    };
+}
+
+const partSummary = (part) => ({ part: part.part, part_title: part.part_title, url: part.url || null });
+const titleSummary = (part, title) => ({ part: part.part, title: title.title, title_name: title.title_name });
+const chapterSummary = (part, title, chapter) => ({
+    part: part.part,
+    title: title.title,
+    chapter: chapter.chapter,
+    chapter_title: chapter.chapter_title,
+    url: chapter.url || null
+});
+const sectionSummary = (chapter, section) => ({
+    chapter: chapter.chapter,
+    section: section.section,
+    section_title: section.section_title,
+    status: sectionStatus(section),
+    url: section.url || null
+});
+
+// Lookups by number over the corpus, built once at startup
+function indexCorpus(laws) {
+    const parts = new Map();
+    const chapters = new Map();
+    const sections = new Map();
+
+    for (const part of laws.parts || []) {
+        parts.set(upper(part.part), part);
+        for (const title of part.titles || []) {
+            for (const chapter of title.chapters || []) {
+                chapters.set(upper(chapter.chapter), { part, title, chapter });
+            }
+        }
+    }
+    for (const { part, title, chapter, section } of eachSection(laws)) {
+        sections.set(sectionKey(chapter.chapter, section.section), { part, title, chapter, section });
+    }
+    return { parts, chapters, sections };
+}
+
+function createRoutes(laws, index, searchIndex) {
+    const findPart = (number) => {
+        const part = index.parts.get(upper(number));
+        if (!part) throw new RequestError(404, `Part ${number} not found`);
+        return part;
+    };
+    const findChapter = (number) => {
+        const found = index.chapters.get(upper(number));
+        if (!found) throw new RequestError(404, `Chapter ${number} not found`);
+        return found;
+    };
+
+    return [
+        ['/parts', (params, query) => page((laws.parts || []).map(partSummary), query)],
+
+        ['/parts/:part', ({ part: number }) => {
+            const part = findPart(number);
+            return {
+                data: {
+                    ...partSummary(part),
+                    titles: (part.titles || []).map(title => titleSummary(part, title))
+                }
+            };
+        }],
+
+        ['/parts/:part/titles/:title', ({ part: partNumber, title: number }) => {
+            const part = findPart(partNumber);
+            const title = (part.titles || []).find(t => upper(t.title) === upper(number));
+            if (!title) throw new RequestError(404, `Title ${number} not found in Part ${part.part}`);
+            return {
+                data: {
+                    ...titleSummary(part, title),
+                    chapters: (title.chapters || []).map(chapter => chapterSummary(part, title, chapter))
+                }
+            };
+        }],
+
+        ['/chapters', (params, query) => page(
+            [...index.chapters.values()].map(({ part, title, chapter }) => chapterSummary(part, title, chapter)),
+            query
+        )],
+
+        ['/chapters/:chapter', ({ chapter: number }) => {
+            const { part, title, chapter } = findChapter(number);
+            return {
+                data: {
+                    ...chapterSummary(part, title, chapter),
+                    sections: (chapter.sections || []).map(section => sectionSummary(chapter, section))
+                }
+            };
+        }],
+
+        ['/chapters/:chapter/sections', ({ chapter: number }, query) => {
+            const { chapter } = findChapter(number);
+            return page((chapter.sections || []).map(section => sectionSummary(chapter, section)), query);
+        }],
+
+        ['/chapters/:chapter/sections/:section', ({ chapter: chapterNumber, section: number }) => {
+            const { part, title, chapter } = findChapter(chapterNumber);
+            const found = index.sections.get(sectionKey(chapter.chapter, number));
+            if (!found) throw new RequestError(404, `Section ${number} not found in Chapter ${chapter.chapter}`);
+            return {
+                data: {
+                    part: part.part,
+                    title: title.title,
+                    chapter: chapter.chapter,
+                    chapter_title: chapter.chapter_title,
+                    ...found.section
+                }
+            };
+        }],
+
+        ['/search', (params, query) => {
+            const q = (query.get('q') || '').trim();
+            if (!q) throw new RequestError(400, 'q is required');
+            const { offset, limit } = pagination(query);
+            const { total, hits } = searchIndex().search(q, {
+                offset,
+                limit,
+                chapter: query.get('chapter') || undefined,
+                status: query.get('status') || undefined
+            });
+            return {
+                data: hits.map(({ score, ...hit }) => hit),
+                pagination: { offset, limit, total }
+            };
+        }]
+    ].map(([pattern, handler]) => {
+        const names = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (m, name) => {
+            names.push(name);
+            return '([^/]+)';
+        }) + '/?$');
+        return { regex, names, handler };
+    });
+}
+
+function send(req, res, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'no-cache');
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+// An http.Server answering for the corpus; call listen() on it. The search
+// index is built on the first search and dropped when the server closes.
+function createServer(laws) {
+    const index = indexCorpus(laws);
+    let search = null;
+    const searchIndex = () => (search = search || createSearchIndex(laws));
+    const routes = createRoutes(laws, index, searchIndex);
+
+    const server = http.createServer((req, res) => {
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw new RequestError(405, `${req.method} is not supported`);
+            }
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = decodeURIComponent(url.pathname);
+            for (const route of routes) {
+                const match = pathname.match(route.regex);
+                if (match) {
+                    const params = Object.fromEntries(route.names.map((name, i) => [name, match[i + 1]]));
+                    send(req, res, 200, route.handler(params, url.searchParams));
+                    return;
+                }
+            }
+            throw new RequestError(404, `No endpoint at ${pathname}`);
+        } catch (error) {
+            // A malformed escape in the path is the client's mistake too
+            const status = error instanceof RequestError ? error.status : error instanceof URIError ? 400 : 500;
+            send(req, res, status, { error: { status, message: error.message } });
+        }
+    });
+
+    server.on('close', () => {
+        if (search) search.close();
+        search = null;
+    });
+    return server;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    createServer
+};
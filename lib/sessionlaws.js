@@ -0,0 +1,292 @@
+const fs = require('fs');
+const { createBackend } = require('./backends');
+const { DEFAULT_CONCURRENCY, mapPool } = require('./pool');
+const { SESSION_LAWS_FIRST_YEAR, parseAct, toIsoDate } = require('./history');
+const { errorType } = require('./errors');
+const { compareSectionNumbers } = require('./numbering');
+const { writeAtomic } = require('./util');
+const { storeDirFor } = require('./store');
+const { createFailureLog } = require('./failures');
+const { log, logToFile } = require('./log');
+
+// The Session Laws: the acts and resolves passed each year, which make the
+// changes the General Laws record in their history notes. A crawl writes
+//   { schema_version, years: [{ year, acts: [...], resolves: [...] }] }
+// where each act or resolve is
+//   { kind, year, chapter, title, approved, url, full_text, amends }
+// approved is the date the Governor signed it (YYYY-MM-DD) and amends lists
+// the General Laws it changes, from its text:
+//   [{ chapter: '186', section: '15B', action: 'amended', act_section: '1' }]
+// action is amended, inserted or repealed; section is null for a change to a
+// chapter as a whole, and act_section is the act's own SECTION it is made in.
+
+const SESSION_LAWS_ROOT = 'https://malegislature.gov/Laws/SessionLaws';
+const SESSION_LAWS_FILE = 'massachusetts_session_laws.json';
+const SESSION_LAWS_SCHEMA_VERSION = 1;
+const KINDS = { acts: 'Acts', resolves: 'Resolves' };
+
+function yearUrl(kind, year) {
+    return `${SESSION_LAWS_ROOT}/${KINDS[kind]}/${year}`;
+}
+
+// "2019", "2017-2019", "2015,2019"; every year the site has by default
+function parseYears(spec) {
+    const latest = new Date().getFullYear();
+    if (!spec) {
+        return Array.from({ length: latest - SESSION_LAWS_FIRST_YEAR + 1 }, (_, i) => SESSION_LAWS_FIRST_YEAR + i);
+    }
+    const years = new Set();
+    for (const token of String(spec).split(',').map(t => t.trim()).filter(Boolean)) {
+        const match = token.match(/^(\d{4})(?:\s*-\s*(\d{4}))?$/);
+        if (!match) {
+            throw new Error(`Cannot read "${token}" as a year or a range of years`);
+        }
+        const from = Number(match[1]);
+        const to = Number(match[2] || match[1]);
+        for (let year = Math.min(from, to); year <= Math.max(from, to); year++) {
+            if (year < SESSION_LAWS_FIRST_YEAR) {
+                throw new Error(`The Session Laws on the site start with ${SESSION_LAWS_FIRST_YEAR}`);
+            }
+            years.add(year);
+        }
+    }
+    return [...years].sort((a, b) => a - b);
+}
+
+// An act's text split at its own SECTION headings: [{ section, text }], with
+// section null for the enacting clause ahead of SECTION 1
+function actSections(fullText) {
+    const sections = [];
+    for (const paragraph of (fullText || '').split(/\n{2,}/)) {
+        const match = paragraph.match(/^SECTION\s+(\d+[A-Z]*(?:½)?)\.?\s*/);
+        if (match || !sections.length) {
+            sections.push({ section: match ? match[1] : null, text: paragraph });
+        } else {
+            sections[sections.length - 1].text += `\n\n${paragraph}`;
+        }
+    }
+    return sections;
+}
+
+const NUMBER = String.raw`\d+[A-Z]{0,3}(?:½)?`;
+// "Section 15B of chapter 186 of the General Laws, as appearing in the 2018
+// Official Edition, is hereby amended", "Sections 16 and 17 of chapter 186 of
+// the General Laws are hereby repealed", "Chapter 186 of the General Laws is
+// hereby amended"
+const GENERAL_LAWS_CHANGE = new RegExp(
+    String.raw`\b(?:sections?\s+(${NUMBER}(?:(?:\s*,\s*(?:and\s+)?|\s+(?:and|to|through)\s+)${NUMBER})*)(?:,?\s+inclusive)?,?\s+of\s+)?` +
+    String.raw`chapter\s+(${NUMBER})\s+of\s+the\s+General\s+Laws\b[^.]*?\b(?:is|are)\s+hereby\s+(?:further\s+)?(amended|repealed)`,
+    'gi'
+);
+// What follows "Chapter 186 ... is hereby amended" when it adds sections
+const INSERTS_SECTIONS = /^\s*by\s+(?:inserting|adding)\b[^:]*?\bthe\s+following\s+(?:\w+\s+)?sections?\b/i;
+
+// "16 and 17" -> [{ section: '16' }, { section: '17' }], "2 to 5" -> [{ section: '2', through: '5' }]
+function splitSectionList(list) {
+    const sections = [];
+    const tokens = list.split(/(\s*,\s*(?:and\s+)?|\s+(?:and|to|through)\s+)/i);
+    for (let i = 0; i < tokens.length; i += 2) {
+        const separator = (tokens[i - 1] || '').trim().toLowerCase();
+        if ((separator === 'to' || separator === 'through') && sections.length) {
+            sections[sections.length - 1].through = tokens[i].toUpperCase();
+        } else {
+            sections.push({ section: tokens[i].toUpperCase() });
+        }
+    }
+    return sections;
+}
+
+// The General Laws an act changes, read from its text
+function parseAmendments(fullText) {
+    const amendments = [];
+    for (const { section: actSection, text } of actSections(fullText)) {
+        for (const match of text.matchAll(GENERAL_LAWS_CHANGE)) {
+            const chapter = match[2].toUpperCase();
+            const action = match[3].toLowerCase();
+
+            if (match[1]) {
+                for (const entry of splitSectionList(match[1])) {
+                    amendments.push({ chapter, ...entry, action, act_section: actSection });
+                }
+                continue;
+            }
+
+            // A whole chapter amended by new sections: the inserted text
+            // carries their numbers as "Section 15C." paragraphs
+            const rest = text.slice(match.index + match[0].length);
+            const inserted = INSERTS_SECTIONS.test(rest)
+                ? [...rest.matchAll(new RegExp(String.raw`(?:^|\n\n)Section\s+(${NUMBER})\.`, 'g'))].map(m => m[1].toUpperCase())
+                : [];
+            if (inserted.length) {
+                for (const section of inserted) {
+                    amendments.push({ chapter, section, action: 'inserted', act_section: actSection });
+                }
+            } else {
+                amendments.push({ chapter, section: null, action, act_section: actSection });
+            }
+        }
+    }
+    return amendments;
+}
+
+function sessionLawRecord(kind, year, link, details) {
+    return {
+        kind: kind === 'acts' ? 'act' : 'resolve',
+        year,
+        chapter: link.chapter,
+        title: details.title || link.title,
+        approved: details.approved ? toIsoDate(details.approved) : null,
+        url: link.url,
+        full_text: details.full_text,
+        amends: kind === 'acts' ? parseAmendments(details.full_text) : []
+    };
+}
+
+function loadSessionLaws(file) {
+    if (!fs.existsSync(file)) {
+        return { schema_version: SESSION_LAWS_SCHEMA_VERSION, years: [] };
+    }
+    const laws = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if ((laws.schema_version || 1) > SESSION_LAWS_SCHEMA_VERSION) {
+        throw new Error(`${file} has schema_version ${laws.schema_version}, newer than this version reads (${SESSION_LAWS_SCHEMA_VERSION})`);
+    }
+    return laws;
+}
+
+// Crawl the acts and resolves of the years asked for into the output file,
+// which is rewritten after every year and kind. Acts already saved with their
+// text are not fetched again unless options.force. Pages that fail go in the
+// failure log (see lib/failures.js) in storeDir, massachusetts_session_laws.store
+// by default, with chapter { kind, year, chapter } (chapter null for a year's
+// list); pages that failed for good, such as 404s, are not asked for again
+// unless options.force. Takes the backend options of a General Laws crawl
+// (backend, concurrency, rate, cacheDir, replay, ...) and years, kinds
+// ('acts,resolves') and output. Resolves to { acts, resolves, fetched,
+// skipped, failed }, failed being this run's failure log entries.
+async function scrapeSessionLaws(options = {}) {
+    const outputFile = options.output || SESSION_LAWS_FILE;
+    const years = parseYears(options.years);
+    const kinds = options.kinds ? String(options.kinds).split(',').map(k => k.trim().toLowerCase()) : Object.keys(KINDS);
+    for (const kind of kinds) {
+        if (!KINDS[kind]) {
+            throw new Error(`Unknown kind "${kind}", expected one of: ${Object.keys(KINDS).join(', ')}`);
+        }
+    }
+
+    const laws = loadSessionLaws(outputFile);
+    const closeLog = options.logFile ? logToFile(options.logFile) : () => {};
+    const failures = createFailureLog(options.storeDir || storeDirFor(outputFile));
+    const totals = { acts: 0, resolves: 0, fetched: 0, skipped: 0, failed: [] };
+    let backend = null;
+
+    const skipFailed = (url) => {
+        if (options.force || !failures.isPermanent(url)) return false;
+        log.debug(`${url} failed for good on an earlier run (${failures.find(url).error_type}) - skipping`, { url });
+        totals.skipped++;
+        return true;
+    };
+    const recordFailure = (url, chapter, error) => {
+        totals.failed.push(failures.record({ url, part: null, title: null, chapter, section: null }, error));
+    };
+
+    try {
+        backend = await createBackend(options.backend, options);
+        log.info(`Scraping the Session Laws for ${years.length === 1 ? years[0] : `${years[0]}-${years[years.length - 1]}`} with the ${backend.name} backend`);
+
+        for (const year of years) {
+            let entry = laws.years.find(y => y.year === year);
+            if (!entry) {
+                entry = { year, acts: [], resolves: [] };
+                laws.years.push(entry);
+                laws.years.sort((a, b) => a.year - b.year);
+            }
+
+            for (const kind of kinds) {
+                const url = yearUrl(kind, year);
+                if (skipFailed(url)) continue;
+                let links;
+                try {
+                    links = await backend.getSessionLawLinks(url);
+                    failures.resolve(url);
+                } catch (error) {
+                    log.error(`Error listing ${KINDS[kind]} of ${year}: ${error.message}`, { url, error_type: errorType(error) });
+                    recordFailure(url, { kind, year, chapter: null }, error);
+                    continue;
+                }
+
+                const saved = new Map((entry[kind] || []).map(record => [record.url, record]));
+                const records = await mapPool(links, options.concurrency || DEFAULT_CONCURRENCY, async link => {
+                    const existing = saved.get(link.url);
+                    if ((existing && existing.full_text && !options.force) || skipFailed(link.url)) {
+                        return existing || null;
+                    }
+                    try {
+                        const record = sessionLawRecord(kind, year, link, await backend.getSessionLawDetails(link.url));
+                        failures.resolve(link.url);
+                        totals.fetched++;
+                        return record;
+                    } catch (error) {
+                        log.error(`Error fetching ${link.url}: ${error.message}`, { url: link.url, error_type: errorType(error) });
+                        recordFailure(link.url, { kind, year, chapter: link.chapter }, error);
+                        return existing || null;
+                    }
+                });
+
+                entry[kind] = records.filter(Boolean).sort((a, b) => compareSectionNumbers(a.chapter, b.chapter));
+                totals[kind] += entry[kind].length;
+                writeAtomic(outputFile, JSON.stringify(laws, null, 2));
+                log.info(`Saved ${entry[kind].length} ${kind} of ${year}`, { year, kind, count: entry[kind].length });
+            }
+        }
+
+        log.info(`Fetched ${totals.fetched} pages; ${totals.acts} acts and ${totals.resolves} resolves in ${outputFile}`);
+        if (totals.skipped) {
+            log.info(`Skipped ${totals.skipped} pages that failed for good on an earlier run; --force asks for them again`);
+        }
+        const transient = totals.failed.filter(f => f.transient);
+        const permanent = totals.failed.filter(f => !f.transient);
+        if (transient.length) {
+            log.warn(`${transient.length} pages could not be fetched and will be tried again on the next run:`);
+            for (const failure of transient) {
+                log.warn(`  ${failure.url} (${failure.error_type})`, failure);
+            }
+        }
+        if (permanent.length) {
+            log.warn(`${permanent.length} pages failed for good and will not be tried again unless --force:`);
+            for (const failure of permanent) {
+                log.warn(`  ${failure.url} (${failure.error_type})`, failure);
+            }
+        }
+        if (totals.failed.length) {
+            log.warn(`The failures are listed in ${failures.file}`);
+        }
+        return totals;
+    } finally {
+        await backend?.close();
+        closeLog();
+    }
+}
+
+// The act a citation such as "St. 2019, c. 41" or "2019, 41, Sec. 2" names,
+// from a loaded Session Laws file, or null. Pass kind 'resolves' for a resolve.
+function findAct(laws, citation, kind = 'acts') {
+    const act = typeof citation === 'object' ? citation : parseAct(String(citation));
+    if (!act) {
+        throw new Error(`Cannot read "${citation}" as an act, expected something like "St. 2019, c. 41"`);
+    }
+    const year = (laws.years || []).find(y => y.year === Number(act.year));
+    return (year?.[kind] || []).find(record => record.chapter === String(act.chapter).toUpperCase()) || null;
+}
+
+module.exports = {
+    SESSION_LAWS_FILE,
+    SESSION_LAWS_SCHEMA_VERSION,
+    yearUrl,
+    parseYears,
+    actSections,
+    parseAmendments,
+    sessionLawRecord,
+    loadSessionLaws,
+    scrapeSessionLaws,
+    findAct
+};
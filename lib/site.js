@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { sectionStatus } = require('./status');
+const { actCitation, sectionHistory } = require('./history');
+const { escapeHtml } = require('./util');
+const { corpusNaming } = require('./structure');
+
+// A browsable copy of the corpus that works from the filesystem, with no
+// server and nothing loaded from the network:
+//   index.html                          every part and its titles
+//   part-II/title-I/index.html          table of contents for a title
+//   part-II/title-I/chapter-186.html    one page per chapter, #section-15B anchors
+// The Markdown format writes the same tree with README.md for the indexes.
+// The Constitution's pages name it and its articles (see corpusNaming).
+
+const STYLESHEET = `body { font-family: Georgia, serif; max-width: 50em; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #222; }
+nav.breadcrumbs { font-size: 0.9em; margin-bottom: 1.5em; }
+nav.breadcrumbs a { color: #555; }
+section.section { margin-top: 2.5em; }
+section.section h2 { font-size: 1.2em; }
+.source { font-size: 0.85em; }
+.status { font-variant: small-caps; color: #8a1f11; }
+section.inactive h2 { color: #777; }
+ul.history { font-size: 0.85em; color: #555; }
+ul.toc ul { margin-bottom: 1em; }
+`;
+
+const partDir = (part) => `part-${part.part}`;
+const titleDir = (title) => `title-${title.title}`;
+const chapterFile = (chapter, ext) => `chapter-${chapter.chapter}.${ext}`;
+
+function anchor(section) {
+    return 'section-' + String(section.section).replace(/½/g, '-1-2').replace(/[^A-Za-z0-9-]/g, '-');
+}
+
+// "Repealed" and the like for sections no longer in force, null otherwise
+function statusLabel(section) {
+    const status = sectionStatus(section);
+    return status === 'active' ? null : status.charAt(0).toUpperCase() + status.slice(1);
+}
+
+// "amended by St. 2019, c. 41, § 2, effective 2022-01-01", with the act linked
+// through link(text, url) when it has a page
+function historyLines(section, link) {
+    return sectionHistory(section).map(record => {
+        const act = record.url ? link(actCitation(record), record.url) : actCitation(record);
+        return `${record.action} by ${act}${record.effective ? `, effective ${record.effective}` : ''}`;
+    });
+}
+
+function historyHtml(section) {
+    const lines = historyLines(section, (text, url) => `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`);
+    return lines.length ? `<ul class="history">\n${lines.map(line => `<li>${line}</li>`).join('\n')}\n</ul>` : '';
+}
+
+function paragraphs(text) {
+    return (text || '').split(/\n{2,}/).map(p => p.trim()).filter(Boolean);
+}
+
+function writeFile(outDir, relative, content) {
+    const file = path.join(outDir, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+function htmlPage(title, breadcrumbs, body, depth) {
+    const root = '../'.repeat(depth);
+    const crumbs = breadcrumbs.length
+        ? `<nav class="breadcrumbs">${breadcrumbs.map(([label, href]) =>
+            href ? `<a href="${href}">${escapeHtml(label)}</a>` : escapeHtml(label)).join(' &rsaquo; ')}</nav>\n`
+        : '';
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${crumbs}${body}
+</body>
+</html>
+`;
+}
+
+function exportHtml(laws, outDir) {
+    const { name, short, unit } = corpusNaming(laws);
+    let pages = 0;
+    writeFile(outDir, 'style.css', STYLESHEET);
+
+    const index = (laws.parts || []).map(part => `<h2 id="${partDir(part)}">Part ${escapeHtml(part.part)}: ${escapeHtml(part.part_title)}</h2>
+<ul>
+${(part.titles || []).map(title =>
+        `<li><a href="${partDir(part)}/${titleDir(title)}/index.html">Title ${escapeHtml(title.title)}: ${escapeHtml(title.title_name)}</a></li>`).join('\n')}
+</ul>`).join('\n');
+    writeFile(outDir, 'index.html', htmlPage(name, [], `<h1>${escapeHtml(name)}</h1>\n${index}`, 0));
+    pages++;
+
+    for (const part of laws.parts || []) {
+        for (const title of part.titles || []) {
+            const dir = path.join(partDir(part), titleDir(title));
+            const partCrumb = [`Part ${part.part}`, `../../index.html#${partDir(part)}`];
+
+            const toc = (title.chapters || []).map(chapter => `<li><a href="${chapterFile(chapter, 'html')}">Chapter ${escapeHtml(chapter.chapter)}: ${escapeHtml(chapter.chapter_title)}</a>
+<ul>
+${(chapter.sections || []).map(section =>
+                `<li><a href="${chapterFile(chapter, 'html')}#${anchor(section)}">${unit} ${escapeHtml(section.section)}</a> ${escapeHtml(section.section_title)}</li>`).join('\n')}
+</ul>
+</li>`).join('\n');
+            writeFile(outDir, path.join(dir, 'index.html'), htmlPage(
+                `Title ${title.title}: ${title.title_name}`,
+                [[short, '../../index.html'], partCrumb, [`Title ${title.title}`]],
+                `<h1>Title ${escapeHtml(title.title)}: ${escapeHtml(title.title_name)}</h1>\n<ul class="toc">\n${toc}\n</ul>`,
+                2
+            ));
+            pages++;
+
+            for (const chapter of title.chapters || []) {
+                const sections = (chapter.sections || []).map(section => `<section class="section${statusLabel(section) ? ' inactive' : ''}" id="${anchor(section)}">
+<h2><a href="#${anchor(section)}">${unit} ${escapeHtml(section.section)}</a>. ${escapeHtml(section.section_title)}</h2>
+${statusLabel(section) ? `<p class="status">${escapeHtml(statusLabel(section))}</p>` : ''}
+${paragraphs(section.full_text).map(p => `<p>${escapeHtml(p)}</p>`).join('\n')}
+${historyHtml(section)}
+${section.url ? `<p class="source"><a href="${escapeHtml(section.url)}">${unit} ${escapeHtml(section.section)} on malegislature.gov</a></p>` : ''}
+</section>`).join('\n');
+                writeFile(outDir, path.join(dir, chapterFile(chapter, 'html')), htmlPage(
+                    `Chapter ${chapter.chapter}: ${chapter.chapter_title}`,
+                    [[short, '../../index.html'], partCrumb, [`Title ${title.title}`, 'index.html'], [`Chapter ${chapter.chapter}`]],
+                    `<h1>Chapter ${escapeHtml(chapter.chapter)}: ${escapeHtml(chapter.chapter_title)}</h1>\n${sections}`,
+                    2
+                ));
+                pages++;
+            }
+        }
+    }
+
+    return pages;
+}
+
+function exportMarkdown(laws, outDir) {
+    const { name, short, unit } = corpusNaming(laws);
+    let pages = 0;
+
+    const index = [`# ${name}`, ''];
+    for (const part of laws.parts || []) {
+        index.push(`<a id="${partDir(part)}"></a>`, '', `## Part ${part.part}: ${part.part_title}`, '');
+        for (const title of part.titles || []) {
+            index.push(`- [Title ${title.title}: ${title.title_name}](${partDir(part)}/${titleDir(title)}/README.md)`);
+        }
+        index.push('');
+    }
+    writeFile(outDir, 'README.md', index.join('\n'));
+    pages++;
+
+    for (const part of laws.parts || []) {
+        for (const title of part.titles || []) {
+            const dir = path.join(partDir(part), titleDir(title));
+            const crumbs = `[${short}](../../README.md) › [Part ${part.part}](../../README.md#${partDir(part)})`;
+
+            const toc = [crumbs + ` › Title ${title.title}`, '', `# Title ${title.title}: ${title.title_name}`, ''];
+            for (const chapter of title.chapters || []) {
+                toc.push(`- [Chapter ${chapter.chapter}: ${chapter.chapter_title}](${chapterFile(chapter, 'md')})`);
+                for (const section of chapter.sections || []) {
+                    toc.push(`  - [${unit} ${section.section}](${chapterFile(chapter, 'md')}#${anchor(section)}) ${section.section_title || ''}`.trimEnd());
+                }
+            }
+            writeFile(outDir, path.join(dir, 'README.md'), toc.join('\n') + '\n');
+            pages++;
+
+            for (const chapter of title.chapters || []) {
+                const lines = [
+                    `${crumbs} › [Title ${title.title}](README.md) › Chapter ${chapter.chapter}`,
+                    '',
+                    `# Chapter ${chapter.chapter}: ${chapter.chapter_title}`,
+                    ''
+                ];
+                for (const section of chapter.sections || []) {
+                    // An explicit anchor, since heading slugs differ between renderers
+                    lines.push(`<a id="${anchor(section)}"></a>`, '', `## ${unit} ${section.section}. ${section.section_title || ''}`.trimEnd(), '');
+                    if (statusLabel(section)) {
+                        lines.push(`*${statusLabel(section)}*`, '');
+                    }
+                    lines.push(...paragraphs(section.full_text).flatMap(p => [p, '']));
+                    const history = historyLines(section, (text, url) => `[${text}](${url})`);
+                    if (history.length) {
+                        lines.push('History:', '', ...history.map(line => `- ${line}`), '');
+                    }
+                    if (section.url) {
+                        lines.push(`[${unit} ${section.section} on malegislature.gov](${section.url})`, '');
+                    }
+                }
+                writeFile(outDir, path.join(dir, chapterFile(chapter, 'md')), lines.join('\n'));
+                pages++;
+            }
+        }
+    }
+
+    return pages;
+}
+
+// format: 'html' or 'markdown'. Returns the number of pages written.
+function exportSite(laws, outDir, format = 'html') {
+    if (format === 'html') return exportHtml(laws, outDir);
+    if (format === 'markdown') return exportMarkdown(laws, outDir);
+    throw new Error(`Unknown format "${format}", expected html or markdown`);
+}
+
+module.exports = {
+    exportSite
+};
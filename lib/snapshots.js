@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = 'snapshots';
+const SNAPSHOT_PREFIX = 'massachusetts_general_laws-';
+
+// 2026-10-18T14-03-09Z, so names sort in crawl order and are safe on every filesystem
+function snapshotStamp(date = new Date()) {
+    return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+// Copy a finished crawl into the snapshot directory under a dated name
+function saveSnapshot(outputFile, dir = SNAPSHOT_DIR, date = new Date()) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${SNAPSHOT_PREFIX}${snapshotStamp(date)}.json`);
+    fs.copyFileSync(outputFile, file);
+    return file;
+}
+
+// Snapshot files in the directory, oldest first
+function listSnapshots(dir = SNAPSHOT_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(SNAPSHOT_PREFIX) && name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+// Accepts a path, "latest", "previous", or the start of a snapshot's date
+// ("2026-09" picks the last snapshot taken in September 2026)
+function resolveSnapshot(ref, dir = SNAPSHOT_DIR) {
+    if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return ref;
+
+    const snapshots = listSnapshots(dir);
+    let file;
+    if (ref === 'latest') {
+        file = snapshots[snapshots.length - 1];
+    } else if (ref === 'previous') {
+        file = snapshots[snapshots.length - 2];
+    } else {
+        file = snapshots.filter(s => path.basename(s).startsWith(SNAPSHOT_PREFIX + ref)).pop();
+    }
+
+    if (!file) {
+        throw new Error(`No snapshot matches "${ref}" in ${dir}`);
+    }
+    return file;
+}
+
+function loadSnapshot(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    snapshotStamp,
+    saveSnapshot,
+    listSnapshots,
+    resolveSnapshot,
+    loadSnapshot
+};
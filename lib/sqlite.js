@@ -0,0 +1,226 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { sectionStatus } = require('./status');
+const { sectionHistory } = require('./history');
+const { provisionCitation } = require('./structure');
+
+const DB_FILE = 'massachusetts_general_laws.db';
+
+const SCHEMA = `
+CREATE TABLE parts (
+    id INTEGER PRIMARY KEY,
+    part TEXT NOT NULL UNIQUE,
+    part_title TEXT,
+    url TEXT
+);
+CREATE TABLE titles (
+    id INTEGER PRIMARY KEY,
+    part_id INTEGER NOT NULL REFERENCES parts(id),
+    title TEXT NOT NULL,
+    title_name TEXT,
+    UNIQUE (part_id, title)
+);
+CREATE TABLE chapters (
+    id INTEGER PRIMARY KEY,
+    title_id INTEGER NOT NULL REFERENCES titles(id),
+    chapter TEXT NOT NULL UNIQUE,
+    chapter_title TEXT,
+    url TEXT
+);
+CREATE TABLE sections (
+    id INTEGER PRIMARY KEY,
+    chapter_id INTEGER NOT NULL REFERENCES chapters(id),
+    position INTEGER NOT NULL,
+    section TEXT NOT NULL,
+    section_title TEXT,
+    full_text TEXT,
+    structure TEXT,
+    status TEXT NOT NULL,
+    status_citation TEXT,
+    url TEXT
+);
+-- Not unique: the site lists some section numbers twice in a chapter (see
+-- ma-law numbering), and both copies are kept in their places
+CREATE INDEX sections_by_number ON sections (chapter_id, section);
+CREATE TABLE section_history (
+    id INTEGER PRIMARY KEY,
+    section_id INTEGER NOT NULL REFERENCES sections(id),
+    action TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    act_chapter TEXT NOT NULL,
+    act_section TEXT,
+    effective TEXT,
+    url TEXT
+);
+CREATE VIRTUAL TABLE sections_fts USING fts5(
+    section_title,
+    full_text,
+    content = 'sections',
+    content_rowid = 'id',
+    tokenize = 'porter unicode61'
+);
+`;
+
+// Create the tables in an empty database and fill them from the corpus
+function populate(db, laws) {
+    db.exec(SCHEMA);
+    const insertPart = db.prepare('INSERT INTO parts (part, part_title, url) VALUES (?, ?, ?)');
+    const insertTitle = db.prepare('INSERT INTO titles (part_id, title, title_name) VALUES (?, ?, ?)');
+    const insertChapter = db.prepare('INSERT INTO chapters (title_id, chapter, chapter_title, url) VALUES (?, ?, ?, ?)');
+    const insertSection = db.prepare(`
+        INSERT INTO sections (chapter_id, position, section, section_title, full_text, structure, status, status_citation, url)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertHistory = db.prepare(`
+        INSERT INTO section_history (section_id, action, year, act_chapter, act_section, effective, url)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const counts = { parts: 0, titles: 0, chapters: 0, sections: 0 };
+    db.transaction(() => {
+        for (const part of laws.parts || []) {
+            const partId = insertPart.run(part.part, part.part_title, part.url).lastInsertRowid;
+            counts.parts++;
+            for (const title of part.titles || []) {
+                const titleId = insertTitle.run(partId, title.title, title.title_name).lastInsertRowid;
+                counts.titles++;
+                for (const chapter of title.chapters || []) {
+                    const chapterId = insertChapter.run(titleId, chapter.chapter, chapter.chapter_title, chapter.url).lastInsertRowid;
+                    counts.chapters++;
+                    (chapter.sections || []).forEach((section, position) => {
+                        const sectionId = insertSection.run(
+                            chapterId,
+                            position,
+                            section.section,
+                            section.section_title,
+                            section.full_text,
+                            section.structure ? JSON.stringify(section.structure) : null,
+                            sectionStatus(section),
+                            section.status_citation ? JSON.stringify(section.status_citation) : null,
+                            section.url
+                        ).lastInsertRowid;
+                        for (const record of sectionHistory(section)) {
+                            insertHistory.run(sectionId, record.action, record.year, record.chapter, record.section, record.effective, record.url);
+                        }
+                        counts.sections++;
+                    });
+                }
+            }
+        }
+        db.exec("INSERT INTO sections_fts (sections_fts) VALUES ('rebuild')");
+    })();
+    return counts;
+}
+
+// Write the corpus into a fresh database. It is built beside the target and
+// moved into place, so a failed export leaves the previous database intact.
+function exportSqlite(laws, file = DB_FILE) {
+    const tmpFile = `${file}.tmp`;
+    fs.rmSync(tmpFile, { force: true });
+    const db = new Database(tmpFile);
+
+    try {
+        const counts = populate(db, laws);
+        db.close();
+        fs.renameSync(tmpFile, file);
+        return counts;
+    } catch (error) {
+        db.close();
+        fs.rmSync(tmpFile, { force: true });
+        throw error;
+    }
+}
+
+// Plain words are quoted so that punctuation like "93A" or "c." can't be read
+// as FTS5 query syntax; options.raw passes the query through untouched
+function toFtsQuery(query, raw) {
+    if (raw) return query;
+    return query
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => `"${word.replace(/"/g, '""')}"`)
+        .join(' ');
+}
+
+function searchFilters(options) {
+    const filters = ['sections_fts MATCH @query'];
+    if (options.chapter) {
+        filters.push('c.chapter = @chapter COLLATE NOCASE');
+    }
+    if (options.status) {
+        filters.push('s.status = @status');
+    }
+    return filters.join(' AND ');
+}
+
+// Ranked hits from an open database, with the number of matches in all.
+// options: limit, offset, chapter, status, raw
+function searchDatabase(db, query, options = {}) {
+    const params = {
+        query: toFtsQuery(query, options.raw),
+        chapter: options.chapter,
+        status: options.status,
+        limit: options.limit || 10,
+        offset: options.offset || 0
+    };
+    const from = `
+        FROM sections_fts
+        JOIN sections s ON s.id = sections_fts.rowid
+        JOIN chapters c ON c.id = s.chapter_id
+        JOIN titles t ON t.id = c.title_id
+        JOIN parts p ON p.id = t.part_id
+        WHERE ${searchFilters(options)}
+    `;
+
+    const rows = db.prepare(`
+        SELECT
+            p.part, t.title, c.chapter, c.chapter_title,
+            s.section, s.section_title, s.status, s.url,
+            snippet(sections_fts, 1, '[', ']', '…', 16) AS snippet,
+            bm25(sections_fts, 5.0, 1.0) AS score
+        ${from}
+        ORDER BY score
+        LIMIT @limit OFFSET @offset
+    `).all(params);
+    const { total } = db.prepare(`SELECT count(*) AS total ${from}`).get(params);
+
+    return {
+        total,
+        hits: rows.map(row => ({
+            citation: provisionCitation(row.chapter, row.section),
+            ...row
+        }))
+    };
+}
+
+// Ranked full-text hits. options: limit, chapter, status, raw
+function search(file, query, options = {}) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found, run export-sqlite first`);
+    }
+
+    const db = new Database(file, { readonly: true });
+    try {
+        return searchDatabase(db, query, options).hits;
+    } finally {
+        db.close();
+    }
+}
+
+// The corpus in an in-memory database, for searching without exporting it
+// first. Call close() when done.
+function createSearchIndex(laws) {
+    const db = new Database(':memory:');
+    populate(db, laws);
+    return {
+        search: (query, options) => searchDatabase(db, query, options),
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    DB_FILE,
+    exportSqlite,
+    search,
+    createSearchIndex
+};
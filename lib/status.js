@@ -0,0 +1,54 @@
+// Whether a section is in force. The site marks the others in the section
+// title, or for some older sections in the text, with a note such as
+//   Repealed, 1973, 1114, Sec. 62
+//   Stricken by St. 1996, c. 151, § 218
+//   Inoperative
+//   [Reserved]
+// and the act that did it, when given, is read into status_citation:
+//   { year: 1973, chapter: '1114', section: '62' }
+// An article of the Constitution that was annulled or superseded by a later
+// amendment counts as repealed.
+
+const { parseAct } = require('./history');
+
+const STATUSES = ['active', 'repealed', 'inoperative', 'stricken', 'reserved'];
+
+const MARKERS = [
+    ['repealed', /^repealed\b/i],
+    ['repealed', /^(?:annulled|superseded)\b/i],
+    ['inoperative', /^inoperative\b/i],
+    ['stricken', /^(?:stricken|struck)\b/i],
+    ['reserved', /^reserved\b/i]
+];
+
+function classifyNote(note) {
+    const text = (note || '').trim().replace(/^\[\s*/, '');
+    for (const [status, pattern] of MARKERS) {
+        if (pattern.test(text)) {
+            return { status, status_citation: parseAct(text) };
+        }
+    }
+    return null;
+}
+
+// { status, status_citation } for a section from its title and text. Only the
+// start of the text is looked at, so a section that merely mentions a repeal
+// stays active.
+function classifySection(sectionTitle, fullText) {
+    const firstParagraph = (fullText || '').trim().split(/\n/)[0];
+    return classifyNote(sectionTitle)
+        || classifyNote(firstParagraph)
+        || { status: 'active', status_citation: null };
+}
+
+// The status of a saved section, classifying records written before the
+// field existed
+function sectionStatus(section) {
+    return section.status || classifySection(section.section_title, section.full_text).status;
+}
+
+module.exports = {
+    STATUSES,
+    classifySection,
+    sectionStatus
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, withSchemaVersion } = require('./corpus');
+const { writeAtomic } = require('./util');
+const { sortSections } = require('./numbering');
+
+// Where a crawl keeps its progress, one file per chapter so that saving a
+// chapter costs the same at the end of a crawl as at the start:
+//   outline.json             the parts, titles and chapter numbers saved so
+//                            far, in the order the crawl met them
+//   chapters/<chapter>.json  { chapter, chapter_title, url, sections }
+// Every file is written atomically. buildCorpus() puts the nested document
+// back together; the crawl writes it out once, when it finishes.
+
+// massachusetts_general_laws.json keeps its store in
+// massachusetts_general_laws.store/ beside it
+function storeDirFor(outputFile) {
+    const parsed = path.parse(outputFile);
+    return path.join(parsed.dir, `${parsed.name}.store`);
+}
+
+function createStore(dir) {
+    const outlineFile = path.join(dir, 'outline.json');
+    const chapterFile = (chapter) => path.join(dir, 'chapters', `${encodeURIComponent(String(chapter).toUpperCase())}.json`);
+
+    const outline = fs.existsSync(outlineFile)
+        ? withSchemaVersion(JSON.parse(fs.readFileSync(outlineFile, 'utf8')), outlineFile)
+        : { schema_version: SCHEMA_VERSION, parts: [] };
+
+    const isEmpty = () => outline.parts.length === 0;
+
+    function readChapter(chapter) {
+        const file = chapterFile(chapter);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    // Record a part, title and chapter in the outline, keeping the order they
+    // were first saved in
+    function addToOutline(part, titleData, chapter) {
+        const { titles, ...partFields } = part;
+        const { chapters, ...titleFields } = titleData;
+
+        let partEntry = outline.parts.find(p => p.part === part.part);
+        if (!partEntry) {
+            partEntry = { ...partFields, titles: [] };
+            outline.parts.push(partEntry);
+        }
+        let titleEntry = partEntry.titles.find(t => t.title === titleData.title);
+        if (!titleEntry) {
+            titleEntry = { ...titleFields, chapters: [] };
+            partEntry.titles.push(titleEntry);
+        }
+        if (!titleEntry.chapters.includes(chapter.chapter)) {
+            titleEntry.chapters.push(chapter.chapter);
+            writeAtomic(outlineFile, JSON.stringify(outline, null, 2));
+        }
+    }
+
+    // Insert or replace a chapter's sections. The chapter file is written
+    // before the outline names it, so the outline never points at a chapter
+    // that isn't there.
+    function saveChapter(part, titleData, chapter, sections) {
+        writeAtomic(chapterFile(chapter.chapter), JSON.stringify({
+            chapter: chapter.chapter,
+            chapter_title: chapter.chapter_title,
+            url: chapter.url,
+            sections: sections
+        }, null, 2));
+        addToOutline(part, titleData, chapter);
+    }
+
+    // Seed the store from a nested corpus, such as the output of a crawl made
+    // before the store existed. Its sections are put in code order.
+    function importCorpus(laws) {
+        for (const part of laws.parts || []) {
+            for (const title of part.titles || []) {
+                for (const chapter of title.chapters || []) {
+                    const { sections, ...chapterFields } = chapter;
+                    writeAtomic(chapterFile(chapter.chapter), JSON.stringify({ ...chapterFields, sections: sortSections(sections || []) }, null, 2));
+                    addToOutline(part, title, chapter);
+                }
+            }
+        }
+    }
+
+    // The nested { schema_version, parts: [{ titles: [{ chapters: [{ sections }] }] }] }
+    // document
+    function buildCorpus() {
+        return {
+            schema_version: SCHEMA_VERSION,
+            parts: outline.parts.map(part => ({
+                ...part,
+                titles: part.titles.map(title => ({
+                    ...title,
+                    chapters: title.chapters.map(readChapter).filter(Boolean)
+                }))
+            }))
+        };
+    }
+
+    return {
+        dir,
+        isEmpty,
+        readChapter,
+        saveChapter,
+        importCorpus,
+        buildCorpus
+    };
+}
+
+module.exports = {
+    storeDirFor,
+    createStore
+};
@@ -0,0 +1,173 @@
+// Turns the paragraphs of a section body into a tree of labelled provisions.
+//
+// The General Laws don't use one fixed labelling scheme: c. 186, § 15B runs
+// (1)(a), other sections run (a)(1)(i). So the depth of a label is decided by
+// the order in which label styles first appear in the section, and the depth
+// is what names the level (subsection, paragraph, clause, subclause).
+
+const LEVELS = ['subsection', 'paragraph', 'clause', 'subclause'];
+
+// (12), (12A), (a), (aa), (A), (iv), (IV)
+const LEADING_LABEL = /^\(([0-9]+[A-Za-z]?|([a-z])\2{0,2}|([A-Z])\3{0,2}|[ivx]+|[IVX]+)\)\s*/;
+const SECTION_PREFIX = /^Section\s+[0-9]+[A-Z]*(?:½)?\.\s*/;
+const LOWER_ROMAN = /^(x{0,3})(ix|iv|v?i{0,3})$/;
+const UPPER_ROMAN = /^(X{0,3})(IX|IV|V?I{0,3})$/;
+
+function levelName(depth) {
+    return LEVELS[Math.min(depth, LEVELS.length - 1)];
+}
+
+// "h" -> "i", "hh" -> "ii"
+function nextLetterLabel(label) {
+    const next = String.fromCharCode(label.charCodeAt(0) + 1);
+    return next.repeat(label.length);
+}
+
+// Letters and roman numerals overlap ((i), (v), (x)); a roman-looking label is
+// a letter only when it follows the previous letter at an open level
+function labelKind(label, stack) {
+    if (/^[0-9]/.test(label)) return 'number';
+
+    const lower = label === label.toLowerCase();
+    const letterKind = lower ? 'lower' : 'upper';
+    const romanKind = lower ? 'lower-roman' : 'upper-roman';
+    const isRoman = (lower ? LOWER_ROMAN : UPPER_ROMAN).test(label);
+    const isLetter = /^([a-zA-Z])\1*$/.test(label);
+
+    if (!isRoman) return letterKind;
+    if (!isLetter) return romanKind;
+
+    const openLetter = stack.find(entry => entry.kind === letterKind);
+    if (openLetter && nextLetterLabel(openLetter.node.label) === label) {
+        return letterKind;
+    }
+    if (stack.some(entry => entry.kind === romanKind)) {
+        return romanKind;
+    }
+    return (label === 'i' || label === 'I' || !openLetter) ? romanKind : letterKind;
+}
+
+function appendText(node, text) {
+    node.text = node.text ? `${node.text}\n\n${text}` : text;
+}
+
+// paragraphs: the section body split at block boundaries, in page order
+function parseStructure(paragraphs) {
+    const root = { text: '', children: [] };
+    // Open provisions from the outermost inwards, each with its label style
+    let stack = [];
+
+    for (const [i, paragraph] of paragraphs.entries()) {
+        // Some sections repeat their number ahead of the first paragraph
+        let rest = i === 0 ? paragraph.replace(SECTION_PREFIX, '') : paragraph;
+        let match;
+
+        while ((match = rest.match(LEADING_LABEL))) {
+            const label = match[1];
+            const kind = labelKind(label, stack);
+            const depth = stack.findIndex(entry => entry.kind === kind);
+            if (depth !== -1) {
+                stack = stack.slice(0, depth);
+            }
+
+            const parent = stack.length ? stack[stack.length - 1].node : root;
+            const node = {
+                level: levelName(stack.length),
+                label,
+                path: (stack.length ? stack[stack.length - 1].node.path : '') + `(${label})`,
+                text: '',
+                children: []
+            };
+            parent.children.push(node);
+            stack.push({ kind, node });
+
+            rest = rest.slice(match[0].length);
+        }
+
+        rest = rest.trim();
+        if (!rest) continue;
+
+        // Unlabelled paragraphs continue whatever provision is open
+        const target = stack.length ? stack[stack.length - 1].node : root;
+        appendText(target, rest);
+    }
+
+    return root;
+}
+
+// Plain-text rendering of the section body that keeps its paragraph breaks
+function renderText(paragraphs) {
+    return paragraphs.join('\n\n');
+}
+
+// Look a provision up by its path, e.g. "(1)(c)"
+function findProvision(structure, path) {
+    const labels = (path.match(/\(([^)]+)\)/g) || []).map(l => l.slice(1, -1));
+    let node = structure;
+    for (const label of labels) {
+        node = node.children.find(child => child.label === label);
+        if (!node) return null;
+    }
+    return node;
+}
+
+// A provision's label and its own text; lead is the label of a parent that
+// has no text of its own
+function provisionText(lead, node) {
+    return [lead + (node.label ? `(${node.label})` : ''), node.text].filter(Boolean).join(' ');
+}
+
+// A provision and everything under it as it reads on the page. A provision
+// with no text of its own runs straight into its first child: "(1)(a) A lessor ..."
+function renderProvision(node, lead = '') {
+    const own = provisionText(lead, node);
+    if (!node.text && node.children.length) {
+        const [first, ...rest] = node.children;
+        return [renderProvision(first, own), ...rest.map(child => renderProvision(child))].join('\n\n');
+    }
+    return [own, ...node.children.map(child => renderProvision(child))].filter(Boolean).join('\n\n');
+}
+
+// The Constitution's articles sit in chapters named for their place in it
+// (see lib/constitution.js): PT1 for the Declaration of Rights, PT2C1S1 for
+// Part the Second, Chapter I, Section I, PT2C3 for a chapter without
+// sections, and AMEND for the Articles of Amendment
+const CONSTITUTION_CHAPTER = /^(?:PT1|PT2C(\d+)(?:S(\d+))?|AMEND)$/i;
+
+const isConstitutionChapter = (chapter) => CONSTITUTION_CHAPTER.test(String(chapter));
+
+// "c. 186, § 15B(1)(c)", or for the Constitution "Mass. Const. Pt. 1, art. 12",
+// "Mass. Const. Pt. 2, c. 1, § 1, art. 4" and "Mass. Const. amend. art. 49"
+function provisionCitation(chapter, section, path = '') {
+    const match = String(chapter).match(CONSTITUTION_CHAPTER);
+    if (!match) {
+        return `c. ${chapter}, § ${section}${path}`;
+    }
+    const place = match[1]
+        ? `Pt. 2, c. ${match[1]}, ${match[2] ? `§ ${match[2]}, ` : ''}`
+        : /^PT1$/i.test(chapter) ? 'Pt. 1, ' : 'amend. ';
+    return `Mass. Const. ${place}art. ${section}${path}`;
+}
+
+// What a corpus is called, short and in full, and what its sections are: the
+// Constitution's are articles, told apart by its chapters (an empty corpus is
+// taken for the General Laws)
+function corpusNaming(laws) {
+    const chapters = (laws.parts || []).flatMap(part => (part.titles || []).flatMap(title => title.chapters || []));
+    if (chapters.length && chapters.every(chapter => isConstitutionChapter(chapter.chapter))) {
+        return { name: 'Constitution of the Commonwealth of Massachusetts', short: 'Mass. Const.', unit: 'Article' };
+    }
+    return { name: 'Massachusetts General Laws', short: 'General Laws', unit: 'Section' };
+}
+
+module.exports = {
+    LEVELS,
+    parseStructure,
+    renderText,
+    findProvision,
+    provisionText,
+    renderProvision,
+    isConstitutionChapter,
+    provisionCitation,
+    corpusNaming
+};
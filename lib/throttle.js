@@ -0,0 +1,72 @@
+const { delay } = require('./util');
+const { log } = require('./log');
+
+const DEFAULT_REQUESTS_PER_SECOND = 8;
+
+// Statuses that mean "slow down" rather than "this page is broken"
+const BACKOFF_STATUSES = [429, 503];
+const MAX_BACKOFF_ATTEMPTS = 6;
+const BACKOFF_DELAY = 2000;
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// A global requests-per-second cap shared by every worker. Requests are spaced
+// evenly rather than sent in bursts, and a backoff pushes back the start of
+// every worker's next request, not just the one that was told to wait.
+function createThrottle(options = {}) {
+    const requestsPerSecond = options.requestsPerSecond || DEFAULT_REQUESTS_PER_SECOND;
+    const interval = 1000 / requestsPerSecond;
+    let nextStart = 0;
+
+    async function wait() {
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + interval;
+        if (start > now) {
+            await delay(start - now);
+        }
+    }
+
+    function backoff(ms) {
+        nextStart = Math.max(nextStart, Date.now() + ms);
+    }
+
+    // Run a request once the throttle allows it, backing off and trying again
+    // while the server answers 429 or 503
+    async function schedule(request) {
+        for (let attempt = 0; ; attempt++) {
+            await wait();
+            try {
+                return await request();
+            } catch (error) {
+                if (!BACKOFF_STATUSES.includes(error.status) || attempt >= MAX_BACKOFF_ATTEMPTS - 1) {
+                    throw error;
+                }
+                const ms = error.retryAfter ?? BACKOFF_DELAY * 2 ** attempt;
+                log.warn(`Server responded ${error.status}, backing off for ${Math.round(ms / 1000)} seconds`, { status: error.status, url: error.url, backoff_ms: ms });
+                backoff(ms);
+            }
+        }
+    }
+
+    return {
+        requestsPerSecond,
+        wait,
+        backoff,
+        schedule
+    };
+}
+
+module.exports = {
+    DEFAULT_REQUESTS_PER_SECOND,
+    BACKOFF_STATUSES,
+    parseRetryAfter,
+    createThrottle
+};
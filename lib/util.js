@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { isTransient, errorType } = require('./errors');
+const { log } = require('./log');
+
+const BASE_URL = 'https://malegislature.gov/Laws/GeneralLaws';
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 5000;
+
+// Helper function to delay execution
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to retry an operation. Permanent failures, such as a 404,
+// are not retried (see lib/errors.js).
+async function retryOperation(operation, maxRetries = MAX_RETRIES) {
+    let lastError;
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            return await operation();
+        } catch (error) {
+            lastError = error;
+            log.warn(`Attempt ${i + 1} failed: ${error.message}`, { attempt: i + 1, error_type: errorType(error) });
+            if (!isTransient(error)) break;
+            if (i < maxRetries - 1) {
+                log.debug(`Retrying in ${RETRY_DELAY/1000} seconds...`);
+                await delay(RETRY_DELAY);
+            }
+        }
+    }
+    throw lastError;
+}
+
+// "30d", "12h", "45m", "90s" or a bare number of milliseconds
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+    if (!match) {
+        throw new Error(`Cannot read "${value}" as a duration, expected something like 30d or 12h`);
+    }
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return Number(match[1]) * units[match[2] || 'ms'];
+}
+
+// Write through a temporary file and rename it into place, so a crash leaves
+// either the old file or the new one, never half of one
+function writeAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, file);
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    BASE_URL,
+    MAX_RETRIES,
+    RETRY_DELAY,
+    delay,
+    retryOperation,
+    parseDuration,
+    writeAtomic,
+    escapeHtml
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('..');
+const { FIXTURE_DIR } = require('./helpers');
+
+test('the hierarchy can be listed level by level', async () => {
+    const client = createClient({ replay: FIXTURE_DIR });
+    try {
+        const [part] = await client.listParts();
+        const [title] = await client.listTitles(part);
+        assert.deepStrictEqual(title, { part: 'II', title: 'I', title_name: 'TITLE TO REAL PROPERTY' });
+
+        const [chapter] = await client.listChapters(title);
+        assert.strictEqual(chapter.chapter, '186');
+
+        const sections = await client.listSections(chapter);
+        assert.deepStrictEqual(sections.map(s => s.number), ['1', '15B', '16']);
+    } finally {
+        await client.close();
+    }
+});
+
+test('getSection finds a section by citation alone', async () => {
+    const client = createClient({ replay: FIXTURE_DIR });
+    try {
+        const section = await client.getSection('c. 186, § 15B');
+        assert.strictEqual(section.part, 'II');
+        assert.strictEqual(section.title, 'I');
+        assert.strictEqual(section.chapter_title, 'ESTATES FOR YEARS AND AT WILL');
+        assert.strictEqual(section.section_title, 'Security deposits and last month\'s rent');
+
+        assert.strictEqual(section.url, 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186/Section15B');
+
+        const provision = await client.getSection('M.G.L. c. 186, § 15B(1)(a)');
+        assert.strictEqual(provision.provision.path, '(1)(a)');
+
+        await assert.rejects(client.getSection({ chapter: '186', section: '99' }), /Section 99 not found/);
+    } finally {
+        await client.close();
+    }
+});
+
+test('iterateCode yields sections in order within a scope', async () => {
+    const client = createClient({ replay: FIXTURE_DIR });
+    try {
+        const numbers = [];
+        for await (const section of client.iterateCode({ chapter: '186', sections: '15B-16' })) {
+            numbers.push(section.section);
+        }
+        assert.deepStrictEqual(numbers, ['15B', '16']);
+    } finally {
+        await client.close();
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHttpCache, createCachingTransport } = require('../lib/cache');
+
+// A transport that answers 304 whenever it's sent the ETag it last handed out
+function createStubTransport() {
+    const requests = [];
+    return {
+        requests,
+        async request(url, params, headers) {
+            requests.push(headers);
+            if (headers['If-None-Match'] === '"v1"') {
+                return { status: 304, data: '', headers: {} };
+            }
+            return { status: 200, data: '<p>page</p>', headers: { etag: '"v1"' } };
+        },
+        close: async () => {}
+    };
+}
+
+test('cached pages are revalidated with their ETag and reused on 304', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-cache-'));
+    const stub = createStubTransport();
+    const transport = createCachingTransport(stub, createHttpCache(dir));
+
+    assert.strictEqual(await transport.get('https://example.test/a'), '<p>page</p>');
+    assert.strictEqual(await transport.get('https://example.test/a'), '<p>page</p>');
+    assert.deepStrictEqual(stub.requests, [{}, { 'If-None-Match': '"v1"' }]);
+    assert.strictEqual(transport.fresh('https://example.test/a'), null);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('pages inside maxAge are served without a request, and prune clears them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-cache-'));
+    const cache = createHttpCache(dir);
+    const transport = createCachingTransport(createStubTransport(), cache, { maxAge: 60000 });
+
+    await transport.get('https://example.test/a', { code: 'I' });
+    assert.strictEqual(transport.fresh('https://example.test/a', { code: 'I' }), '<p>page</p>');
+    assert.strictEqual(transport.fresh('https://example.test/a', { code: 'II' }), null);
+
+    assert.deepStrictEqual(cache.prune(), { entries: 1, bodies: 1 });
+    assert.strictEqual(cache.stats().entries, 0);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStructure } = require('../lib/structure');
+const { chunkSection, corpusChunks } = require('../lib/chunks');
+
+const paragraphs = [
+    'Section 15B. (1)(a) A lessor may require rent to be paid in advance.',
+    '(b) No lessor shall require more than the first month\'s rent. ' + 'The lessor shall give a receipt. '.repeat(8).trim(),
+    '(c) The lessor shall hold the deposit in a separate account.',
+    '(2) A lessor who fails to comply shall return the deposit.'
+];
+const section = {
+    section: '15B',
+    section_title: 'Security deposits',
+    full_text: paragraphs.join('\n\n'),
+    structure: parseStructure(paragraphs),
+    url: 'https://example.test/15B'
+};
+const laws = {
+    parts: [{
+        part: 'II',
+        titles: [{ title: 'I', chapters: [{ chapter: '186', chapter_title: 'ESTATES FOR YEARS AND AT WILL', sections: [section] }] }]
+    }]
+};
+
+test('a section that fits is one chunk', () => {
+    const chunks = chunkSection(section);
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].provision, null);
+    assert.match(chunks[0].text, /^\(1\)\(a\) A lessor may require/);
+});
+
+test('a long section is split between provisions and long provisions overlap', () => {
+    const chunks = chunkSection(section, { maxLength: 150, overlap: 40 });
+    assert.deepStrictEqual(chunks.map(c => c.provision), ['(1)(a)', '(1)(b)', '(1)(b)', '(1)(b)', '(1)(c)']);
+    assert.ok(chunks.every(c => c.text.length <= 150));
+    assert.match(chunks[4].text, /^\(c\) .*\n\n\(2\) A lessor who fails/);
+
+    // Each window of (1)(b) starts with words the one before it ended on
+    assert.ok(chunks[1].text.includes(chunks[2].text.slice(0, 20)));
+});
+
+test('a small maximum length cuts the default overlap to fit', () => {
+    // As "export-chunks --max-length 150" passes it, with no --overlap
+    const chunks = chunkSection(section, { maxLength: 150, overlap: undefined });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.text.length <= 150));
+
+    assert.throws(() => chunkSection(section, { maxLength: 150, overlap: 150 }), /The overlap must be shorter than the maximum length/);
+});
+
+test('chunk ids carry citations and survive changes elsewhere in the section', () => {
+    const options = { maxLength: 150, overlap: 40 };
+    const chunks = [...corpusChunks(laws, options)];
+    assert.strictEqual(chunks[1].citation, 'c. 186, § 15B(1)(b)');
+    assert.deepStrictEqual(chunks.slice(1, 4).map(c => c.chunk), [0, 1, 2]);
+    assert.strictEqual(chunks[0].chapter_title, 'ESTATES FOR YEARS AND AT WILL');
+    assert.strictEqual(chunks[0].status, 'active');
+    assert.strictEqual(new Set(chunks.map(c => c.id)).size, chunks.length);
+
+    const amended = paragraphs.map(p => p.replace('(2) A lessor who fails', '(2) Any lessor who fails'));
+    const again = [...corpusChunks({
+        parts: [{ ...laws.parts[0], titles: [{ title: 'I', chapters: [{ chapter: '186', sections: [{ ...section, structure: parseStructure(amended) }] }] }] }]
+    }, options)];
+    assert.deepStrictEqual(again.map(c => c.id), chunks.map(c => c.id));
+});
+
+test('a section number listed twice in a chapter gets chunk ids of its own', () => {
+    const twice = {
+        parts: [{ part: 'II', titles: [{ title: 'I', chapters: [{ chapter: '186', sections: [section, { ...section, url: 'https://example.test/15B-2' }] }] }] }]
+    };
+    const chunks = [...corpusChunks(twice)];
+    assert.strictEqual(chunks.length, 2);
+    assert.deepStrictEqual(chunks.map(c => c.chunk), [0, 1]);
+    assert.notStrictEqual(chunks[0].id, chunks[1].id);
+    // The first copy keeps the id it has when listed once
+    assert.strictEqual(chunks[0].id, [...corpusChunks(laws)][0].id);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCitation, formatCitation, chapterUrl, sectionUrl, resolveCitation } = require('../lib/citation');
+const { parseStructure } = require('../lib/structure');
+
+test('parseCitation reads the common ways of citing a section', () => {
+    const cases = {
+        'M.G.L. c. 186, § 15B(1)': { chapter: '186', section: '15B', path: '(1)' },
+        'G.L. c.93A §2': { chapter: '93A', section: '2', path: '' },
+        'Chapter 186 Section 14': { chapter: '186', section: '14', path: '' },
+        'Mass. Gen. Laws ch. 186, § 15B': { chapter: '186', section: '15B', path: '' },
+        'mgl c 151b s 4': { chapter: '151B', section: '4', path: '' },
+        'G. L. c. 93A, § 9 (3)(a)': { chapter: '93A', section: '9', path: '(3)(a)' },
+        'c. 186, § 2 1/2': { chapter: '186', section: '2½', path: '' },
+        '186 15B': { chapter: '186', section: '15B', path: '' }
+    };
+    for (const [citation, expected] of Object.entries(cases)) {
+        assert.deepStrictEqual(parseCitation(citation), expected, citation);
+    }
+    assert.deepStrictEqual(parseCitation({ chapter: 186, section: '15b' }), { chapter: '186', section: '15B', path: '' });
+    assert.throws(() => parseCitation('St. 2019, c. 41, § 2'), /Cannot read/);
+    assert.throws(() => parseCitation('c. 186'), /Cannot read/);
+});
+
+test('parseCitation reads citations to the Constitution', () => {
+    const cases = {
+        'Mass. Const. art. 49': { chapter: 'AMEND', section: '49', path: '' },
+        'Mass. Const. amend. art. XLIX': { chapter: 'AMEND', section: '49', path: '' },
+        'art. 97 of the Amendments': { chapter: 'AMEND', section: '97', path: '' },
+        'Mass. Const. Pt. 1, art. 12': { chapter: 'PT1', section: '12', path: '' },
+        'Declaration of Rights, art. XII': { chapter: 'PT1', section: '12', path: '' },
+        'Mass. Const. Pt. 2, c. 1, § 1, art. 4': { chapter: 'PT2C1S1', section: '4', path: '' },
+        'Part the Second, Chapter III, Article I': { chapter: 'PT2C3', section: '1', path: '' }
+    };
+    for (const [citation, expected] of Object.entries(cases)) {
+        assert.deepStrictEqual(parseCitation(citation), expected, citation);
+    }
+    assert.strictEqual(formatCitation('Mass. Const. art. XLIX'), 'Mass. Const. amend. art. 49');
+    assert.strictEqual(formatCitation('Part the Second, Chapter I, Section I, Article IV'), 'Mass. Const. Pt. 2, c. 1, § 1, art. 4');
+});
+
+test('citations normalize to one form and to the site\'s URLs', () => {
+    assert.strictEqual(formatCitation('M.G.L. c.186 §15b(1)'), 'c. 186, § 15B(1)');
+    const location = { part: 'II', title: 'I', chapter: '186' };
+    assert.strictEqual(chapterUrl(location), 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186');
+    assert.strictEqual(sectionUrl({ ...location, section: '15B' }),
+        'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186/Section15B');
+});
+
+test('resolveCitation finds a section and provision in a corpus', () => {
+    const paragraphs = ['(1)(a) A lessor may require rent in advance.', '(b) No more.'];
+    const laws = {
+        parts: [{
+            part: 'II',
+            titles: [{
+                title: 'I',
+                chapters: [{
+                    chapter: '186',
+                    chapter_title: 'ESTATES FOR YEARS AND AT WILL',
+                    sections: [{ section: '15B', section_title: 'Security deposits', full_text: paragraphs.join('\n\n'), structure: parseStructure(paragraphs) }]
+                }]
+            }]
+        }]
+    };
+
+    const record = resolveCitation(laws, 'G.L. c. 186, § 15b(1)(b)');
+    assert.strictEqual(record.part, 'II');
+    assert.strictEqual(record.chapter_title, 'ESTATES FOR YEARS AND AT WILL');
+    assert.strictEqual(record.section_title, 'Security deposits');
+    assert.strictEqual(record.provision.text, 'No more.');
+    assert.strictEqual(resolveCitation(laws, 'c. 186, § 15B').provision, undefined);
+    assert.strictEqual(resolveCitation(laws, 'c. 186, § 15B(9)').provision, null);
+    assert.strictEqual(resolveCitation(laws, 'c. 186, § 99'), null);
+});
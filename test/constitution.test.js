@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrapeConstitution } = require('../lib/constitution');
+const { resolveCitation } = require('../lib/citation');
+const { corpusChunks } = require('../lib/chunks');
+const { validateCorpus } = require('../lib/schema');
+const { FIXTURE_DIR } = require('./helpers');
+
+test('the Constitution is crawled into the corpus shape and cited like the General Laws', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const output = path.join(dir, 'constitution.json');
+
+    await scrapeConstitution({ replay: FIXTURE_DIR, output });
+    const laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepStrictEqual(validateCorpus(laws), { errors: [], problems: [] });
+    assert.deepStrictEqual(laws.parts.map(p => p.part), ['I', 'II', 'AMEND']);
+    assert.strictEqual(laws.parts[1].part_title, 'The Frame of Government');
+    // The Frame's chapters are titles, and a chapter without sections is its own chapter
+    assert.deepStrictEqual(laws.parts[1].titles.map(t => t.chapters.map(c => c.chapter)), [['PT2C1S1'], ['PT2C3']]);
+    assert.strictEqual(laws.parts[1].titles[0].chapters[0].chapter_title, 'THE GENERAL COURT');
+
+    const rights = resolveCitation(laws, 'Declaration of Rights, art. XII');
+    assert.strictEqual(rights.section_title, 'Article XII');
+    assert.match(rights.full_text, /^No subject shall be held to answer[^]*\n\nAnd the legislature/);
+
+    const annulled = resolveCitation(laws, 'Mass. Const. art. 49');
+    assert.strictEqual(annulled.status, 'repealed');
+    const amendment = resolveCitation(laws, 'Mass. Const. amend. art. XCVII');
+    assert.strictEqual(amendment.status, 'active');
+    assert.match(amendment.full_text, /^Article XLIX of the Articles of Amendment[^]*clean air and water/);
+    assert.strictEqual(resolveCitation(laws, 'Mass. Const. Pt. 2, c. 1, § 1, art. 4').section, '4');
+
+    const citations = [...corpusChunks(laws)].map(chunk => chunk.citation);
+    assert.deepStrictEqual(citations, [
+        'Mass. Const. Pt. 1, art. 1',
+        'Mass. Const. Pt. 1, art. 12',
+        'Mass. Const. Pt. 2, c. 1, § 1, art. 1',
+        'Mass. Const. Pt. 2, c. 1, § 1, art. 4',
+        'Mass. Const. Pt. 2, c. 3, art. 1',
+        'Mass. Const. amend. art. 49',
+        'Mass. Const. amend. art. 97'
+    ]);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
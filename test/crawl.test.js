@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrapeLaws } = require('..');
+const { retryFailed } = require('../lib/crawl');
+const { HttpStatusError } = require('../lib/errors');
+const { createReplayTransport } = require('../lib/fixtures');
+const { validateCorpus } = require('../lib/schema');
+const { FIXTURE_DIR } = require('./helpers');
+
+test('a full crawl runs offline against the fixture site', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const output = path.join(dir, 'laws.json');
+
+    const report = await scrapeLaws({
+        replay: FIXTURE_DIR,
+        output,
+        snapshotDir: path.join(dir, 'snapshots')
+    });
+    assert.strictEqual(report.totals.sections_listed, 3);
+    assert.strictEqual(report.totals.sections_fetched, 3);
+    assert.deepStrictEqual(report.chapters, { 186: { listed: 3, selected: 3, fetched: 3 } });
+
+    const laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(laws.schema_version, 1);
+    assert.deepStrictEqual(validateCorpus(laws), { errors: [], problems: [] });
+    assert.strictEqual(laws.parts.length, 1);
+    assert.strictEqual(laws.parts[0].part, 'II');
+
+    const title = laws.parts[0].titles[0];
+    assert.strictEqual(title.title, 'I');
+    assert.strictEqual(title.title_name, 'TITLE TO REAL PROPERTY');
+
+    const chapter = title.chapters[0];
+    assert.strictEqual(chapter.chapter, '186');
+    assert.deepStrictEqual(chapter.sections.map(s => s.section), ['1', '15B', '16']);
+
+    const section = chapter.sections[1];
+    assert.strictEqual(section.section_title, 'Security deposits and last month\'s rent');
+    assert.strictEqual(section.structure.children[0].children[0].children.length, 2);
+    assert.strictEqual(section.status, 'active');
+
+    assert.strictEqual(chapter.sections[2].status, 'repealed');
+    assert.deepStrictEqual(chapter.sections[2].status_citation, { year: 1973, chapter: '1114', section: '62' });
+    assert.deepStrictEqual(chapter.sections[2].history.map(h => h.action), ['repealed']);
+
+    assert.strictEqual(fs.readdirSync(path.join(dir, 'snapshots')).length, 1);
+
+    // The run's log, debug lines included, as JSON lines in the store
+    const logs = path.join(dir, 'laws.store', 'logs');
+    const [logFile] = fs.readdirSync(logs);
+    assert.match(logFile, /\.jsonl$/);
+    const lines = fs.readFileSync(path.join(logs, logFile), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(lines.every(line => line.time && line.level && line.msg));
+    assert.ok(lines.some(line => line.level === 'debug' && line.chapter === '186'));
+    assert.ok(lines.some(line => line.report && line.report.totals.sections_fetched === 3));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a crawl keeps one file per chapter and resumes from them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const output = path.join(dir, 'laws.json');
+    const options = { replay: FIXTURE_DIR, output, snapshotDir: path.join(dir, 'snapshots') };
+
+    await scrapeLaws(options);
+    const store = path.join(dir, 'laws.store');
+    const saved = JSON.parse(fs.readFileSync(path.join(store, 'chapters', '186.json'), 'utf8'));
+    assert.deepStrictEqual(saved.sections.map(s => s.section), ['1', '15B', '16']);
+
+    // A section edited in the store survives a resumed crawl and reaches the output
+    saved.sections[0].full_text = 'Edited.';
+    fs.writeFileSync(path.join(store, 'chapters', '186.json'), JSON.stringify(saved));
+    fs.rmSync(output);
+    await scrapeLaws(options);
+
+    let laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(laws.parts[0].titles[0].chapters[0].sections[0].full_text, 'Edited.');
+
+    // A section fetched again on resume goes back in its place, not at the end
+    saved.sections = saved.sections.filter(s => s.section !== '15B');
+    fs.writeFileSync(path.join(store, 'chapters', '186.json'), JSON.stringify(saved));
+    await scrapeLaws(options);
+    laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepStrictEqual(laws.parts[0].titles[0].chapters[0].sections.map(s => s.section), ['1', '15B', '16']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('failed pages are logged, a 404 is not fetched again, and retry-failed puts them back', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const site = path.join(dir, 'site');
+    fs.cpSync(FIXTURE_DIR, site, { recursive: true });
+    const page = path.join(site, 'malegislature.gov', 'Laws', 'GeneralLaws', 'PartII', 'TitleI', 'Chapter186', 'Section15B.html');
+    const saved = fs.readFileSync(page);
+    fs.rmSync(page);
+
+    const output = path.join(dir, 'laws.json');
+    const options = { replay: site, output, snapshotDir: path.join(dir, 'snapshots') };
+    await scrapeLaws(options);
+
+    const failuresFile = path.join(dir, 'laws.store', 'failures.json');
+    const [entry] = JSON.parse(fs.readFileSync(failuresFile, 'utf8'));
+    assert.strictEqual(entry.section.number, '15B');
+    assert.strictEqual(entry.error_type, 'http_404');
+    assert.strictEqual(entry.transient, false);
+    assert.strictEqual(entry.attempts, 1);
+
+    // Permanent failures are left alone by a resumed crawl and by a plain retry
+    await scrapeLaws(options);
+    assert.strictEqual(JSON.parse(fs.readFileSync(failuresFile, 'utf8'))[0].attempts, 1);
+    assert.deepStrictEqual(await retryFailed(options), { retried: 0, fixed: 0 });
+
+    fs.writeFileSync(page, saved);
+    assert.deepStrictEqual(await retryFailed({ ...options, all: true }), { retried: 1, fixed: 1 });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(failuresFile, 'utf8')), []);
+
+    const laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepStrictEqual(laws.parts[0].titles[0].chapters[0].sections.map(s => s.section), ['1', '15B', '16']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the final retry pass keeps to the sections the crawl was narrowed to', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const output = path.join(dir, 'laws.json');
+
+    // The chapter page answers 500 until the final retry pass asks for it
+    const replay = createReplayTransport(FIXTURE_DIR);
+    let chapterRequests = 0;
+    const transport = {
+        get(url, params) {
+            if (url.endsWith('/Chapter186') && ++chapterRequests <= 3) {
+                return Promise.reject(new HttpStatusError(500, url));
+            }
+            return replay.get(url, params);
+        },
+        close: replay.close
+    };
+
+    // Skip over the waits between attempts
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let done = false;
+    const crawl = scrapeLaws({
+        transport,
+        rate: Infinity,
+        output,
+        snapshotDir: path.join(dir, 'snapshots'),
+        chapter: '186',
+        sections: '1-15B',
+        progress: false
+    }).finally(() => { done = true; });
+    while (!done) {
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.tick(60000);
+    }
+    const report = await crawl;
+
+    assert.strictEqual(chapterRequests, 4);
+    assert.deepStrictEqual(report.chapters, { 186: { listed: 3, selected: 2, fetched: 2 } });
+    assert.strictEqual(report.totals.chapters, 1);
+    const laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepStrictEqual(laws.parts[0].titles[0].chapters[0].sections.map(s => s.section), ['1', '15B']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a crawl narrowed to some sections after a full one raises no drop warning', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const options = { replay: FIXTURE_DIR, output: path.join(dir, 'laws.json'), snapshotDir: path.join(dir, 'snapshots'), progress: false };
+
+    await scrapeLaws(options);
+    const report = await scrapeLaws({ ...options, chapter: '186', sections: '15B', force: true });
+    assert.deepStrictEqual(report.chapters, { 186: { listed: 3, selected: 1, fetched: 1 } });
+    assert.strictEqual(report.totals.sections_selected, 1);
+    assert.deepStrictEqual(report.warnings, []);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectReferences, linkCrossReferences } = require('../lib/crossrefs');
+
+test('references to session laws are left out', () => {
+    assert.deepStrictEqual(detectReferences('as provided in section 3 of chapter 40B and section 5 of the acts of 1990', '186'), [
+        { text: 'section 3 of chapter 40B', chapter: '40B', section: '3' }
+    ]);
+    assert.deepStrictEqual(detectReferences('under chapter 12 of the acts of 2004', '186'), []);
+});
+
+test('ranges, subdivisions and bare section numbers', () => {
+    assert.deepStrictEqual(detectReferences('sections 1 to 5, inclusive, and section 15B(1)(c)', '186'), [
+        { text: 'sections 1 to 5, inclusive,', chapter: '186', section: '1', through: '5' },
+        { text: 'section 15B(1)(c)', chapter: '186', section: '15B', path: '(1)(c)' }
+    ]);
+    assert.deepStrictEqual(detectReferences('chapters 40A through 40C', '186'), [
+        { text: 'chapters 40A through 40C', chapter: '40A', section: null, through_chapter: '40C' }
+    ]);
+});
+
+test('"said chapter" is the chapter named last before it', () => {
+    assert.deepStrictEqual(detectReferences('a violation of chapter 93A; section 9 of said chapter', '186'), [
+        { text: 'section 9 of said chapter', chapter: '93A', section: '9' },
+        { text: 'chapter 93A', chapter: '93A', section: null }
+    ]);
+    assert.strictEqual(detectReferences('section 9 of said chapter 151B', '186')[0].chapter, '151B');
+    assert.strictEqual(detectReferences('section 9 of said chapter', '186')[0].chapter, '186');
+});
+
+test('linking gives each section its outbound and inbound references', () => {
+    const laws = {
+        parts: [{
+            titles: [{
+                chapters: [
+                    {
+                        chapter: '186',
+                        sections: [
+                            { section: '1', full_text: 'See sections 15B to 16 and chapter 93A.' },
+                            { section: '15B', full_text: 'Subject to section 1 and section 20.' },
+                            { section: '15B', full_text: 'A second section 15B, enacted by another act.' },
+                            { section: '16', full_text: 'Section 1 of this chapter applies; section 16 does not cite itself.' }
+                        ]
+                    },
+                    { chapter: '93A', sections: [{ section: '9', full_text: '' }] }
+                ]
+            }]
+        }]
+    };
+    const { unresolved } = linkCrossReferences(laws);
+    const [first, deposits, secondDeposits, sixteen] = laws.parts[0].titles[0].chapters[0].sections;
+    const consumer = laws.parts[0].titles[0].chapters[1];
+
+    // The range covers both sections listed as 15B, cited once
+    assert.deepStrictEqual(first.references.outbound, [
+        { chapter: '186', section: '15B', text: 'sections 15B to 16' },
+        { chapter: '186', section: '16', text: 'sections 15B to 16' },
+        { chapter: '93A', section: null, text: 'chapter 93A' }
+    ]);
+    assert.deepStrictEqual(consumer.references.inbound, [{ chapter: '186', section: '1' }]);
+    assert.deepStrictEqual(deposits.references.inbound, [{ chapter: '186', section: '1' }]);
+    assert.deepStrictEqual(secondDeposits.references.inbound, [{ chapter: '186', section: '1' }]);
+    assert.deepStrictEqual(first.references.inbound, [{ chapter: '186', section: '15B' }, { chapter: '186', section: '16' }]);
+    assert.deepStrictEqual(sixteen.references.outbound.map(r => r.section), ['1']);
+
+    assert.deepStrictEqual(unresolved, [
+        { from: { chapter: '186', section: '15B' }, text: 'section 20', chapter: '186', section: '20', reason: 'section not found' }
+    ]);
+});
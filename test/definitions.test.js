@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sectionDefinitions, extractDefinitions, lookupTerm } = require('../lib/definitions');
+
+const section = (number, title, paragraphs) => ({
+    section: number,
+    section_title: title,
+    full_text: paragraphs.join('\n\n'),
+    url: `https://example.test/${number}`
+});
+
+const chapter = {
+    chapter: '186',
+    sections: [
+        section('1', 'Definitions', [
+            'Section 1. As used in this chapter, the following words shall, unless the context clearly requires otherwise, have the following meanings:',
+            '"Landlord" or "lessor", the owner of a dwelling unit;',
+            '“Tenant”, a person who occupies a dwelling unit:',
+            '(a) under a written lease; or',
+            '(b) as a tenant at will;',
+            '"Rent" shall include any payment for the use of the premises.'
+        ]),
+        section('14', 'Wrongful acts of lessor', ['Any lessor who fails to furnish water shall be punished.']),
+        section('15B', 'Security deposits', [
+            '(1) A lessor may require a deposit.',
+            '(9) As used in sections 15B to 16, inclusive, "tenant" shall mean any occupant of residential premises.'
+        ]),
+        section('16', 'Notices', ['Notice shall be given in writing.']),
+        section('17', 'Dwellings', ['As used in this section, the following terms shall have the following meanings:-', '"Dwelling" means a building.'])
+    ]
+};
+const laws = { parts: [{ part: 'II', titles: [{ title: 'I', chapters: [chapter] }] }] };
+
+test('a definitions section splits into terms that govern the chapter', () => {
+    const definitions = sectionDefinitions(chapter, chapter.sections[0]);
+    assert.deepStrictEqual(definitions.map(d => d.term), ['Landlord', 'lessor', 'Tenant', 'Rent']);
+    assert.strictEqual(definitions[0].definition, 'the owner of a dwelling unit');
+    assert.strictEqual(definitions[2].definition, 'a person who occupies a dwelling unit:\n\n(a) under a written lease; or\n\n(b) as a tenant at will');
+    assert.strictEqual(definitions[3].definition, 'includes any payment for the use of the premises');
+    assert.deepStrictEqual(definitions[0].scope, { chapter: '186', sections: null });
+    assert.deepStrictEqual(sectionDefinitions(chapter, chapter.sections[1]), []);
+});
+
+test('definitions scoped to sections list the sections they govern', () => {
+    const glossary = extractDefinitions(laws);
+    const inRange = glossary.find(d => d.section === '15B');
+    assert.strictEqual(inRange.definition, 'any occupant of residential premises');
+    assert.deepStrictEqual(inRange.scope, { chapter: '186', sections: ['15B', '16'] });
+    assert.deepStrictEqual(glossary.find(d => d.term === 'Dwelling').scope, { chapter: '186', sections: ['17'] });
+});
+
+test('lookupTerm finds the definitions that govern a place, narrowest first', () => {
+    const glossary = extractDefinitions(laws);
+    assert.deepStrictEqual(lookupTerm(glossary, 'tenants', { chapter: '186', section: '15B' }).map(d => d.section), ['15B', '1']);
+    assert.deepStrictEqual(lookupTerm(glossary, 'Tenant', { chapter: '186', section: '14' }).map(d => d.section), ['1']);
+    assert.deepStrictEqual(lookupTerm(glossary, "lessor's", { chapter: '186' }).map(d => d.term), ['lessor']);
+    assert.deepStrictEqual(lookupTerm(glossary, 'tenant', { chapter: '187' }), []);
+    assert.strictEqual(lookupTerm(glossary, 'dwelling').length, 1);
+});
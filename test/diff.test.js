@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffCorpora, renderMarkdown, renderHtml } = require('../lib/diff');
+
+const corpus = (sections) => ({
+    schema_version: 1,
+    parts: [{
+        part: 'II',
+        titles: [{ title: 'I', chapters: [{ chapter: '186', chapter_title: 'ESTATES FOR YEARS AND AT WILL', sections }] }]
+    }]
+});
+
+const before = corpus([
+    { section: '1', section_title: 'Tenancy at will', full_text: 'A tenancy at will may be determined by either party.', url: 'https://example.test/1' },
+    { section: '15B', section_title: 'Security deposits', full_text: 'A lessor may require rent in advance.', url: 'https://example.test/15B' },
+    { section: '15B', section_title: 'Deposits held in trust', full_text: 'The deposit is held in trust.', url: 'https://example.test/15B-2' },
+    { section: '16', section_title: 'Waiver', full_text: 'No lease shall waive these rights.', url: 'https://example.test/16' },
+    { section: '17', section_title: 'Notice', full_text: 'Notice shall be given.', url: 'https://example.test/17' }
+]);
+const after = corpus([
+    { section: '1', section_title: 'Tenancy at will', full_text: 'A tenancy at will  may be determined\nby either party.', url: 'https://example.test/1' },
+    { section: '15B', section_title: 'Security deposits', full_text: 'A lessor may require rent in advance.', url: 'https://example.test/15B' },
+    { section: '15B', section_title: 'Deposits held in trust', full_text: 'The deposit is held in a separate account.', url: 'https://example.test/15B-2' },
+    { section: '16', section_title: 'Repealed, 2024, 10, Sec. 3', full_text: '', url: 'https://example.test/16' },
+    { section: '18', section_title: 'Fees', full_text: 'No fee shall be charged.', url: 'https://example.test/18' }
+]);
+
+test('two crawls compare into added, removed, repealed and modified sections', () => {
+    const diff = diffCorpora(before, after);
+    assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, repealed: 1, modified: 1 });
+    assert.deepStrictEqual(diff.added.map(s => s.section), ['18']);
+    assert.deepStrictEqual(diff.removed.map(s => s.section), ['17']);
+    assert.deepStrictEqual(diff.repealed.map(s => [s.section, s.status]), [['16', 'repealed']]);
+
+    // Only whitespace changed in section 1; of the two sections numbered 15B
+    // the second is the one that changed, word by word
+    const [modified] = diff.modified;
+    assert.strictEqual(modified.url, 'https://example.test/15B-2');
+    assert.deepStrictEqual(modified.changes, [
+        { op: 'equal', text: 'The deposit is held in ' },
+        { op: 'delete', text: 'trust' },
+        { op: 'insert', text: 'a separate account' },
+        { op: 'equal', text: '.' }
+    ]);
+});
+
+test('a section number listed twice that loses a copy is reported removed', () => {
+    const diff = diffCorpora(before, corpus(before.parts[0].titles[0].chapters[0].sections.filter(s => s.url !== 'https://example.test/15B-2')));
+    assert.deepStrictEqual(diff.summary, { added: 0, removed: 1, repealed: 0, modified: 0 });
+    assert.deepStrictEqual(diff.removed.map(s => s.url), ['https://example.test/15B-2']);
+});
+
+test('changes are marked up word by word in Markdown and HTML', () => {
+    const diff = diffCorpora(before, after);
+    const markdown = renderMarkdown(diff, { from: 'old.json', to: 'new.json' });
+    assert.match(markdown, /^# Changes to the Massachusetts General Laws$/m);
+    assert.match(markdown, /^Comparing `old.json` to `new.json`\.$/m);
+    assert.match(markdown, /^- \[c\. 186, § 18\]\(https:\/\/example.test\/18\) Fees$/m);
+    assert.match(markdown, /^The deposit is held in ~~trust~~ \*\*a separate account\*\*/m);
+
+    const html = renderHtml(diff);
+    assert.match(html, /<h2>Repealed<\/h2>\n<ul>\n<li><a href="https:\/\/example.test\/16">c\. 186, § 16<\/a>/);
+    assert.match(html, /The deposit is held in <del>trust<\/del><ins>a separate account<\/ins>\./);
+});
+
+test('a diff of the Constitution is headed with its name', () => {
+    const constitution = (text) => ({
+        parts: [{ part: 'AMEND', titles: [{ title: 'AMEND', chapters: [{ chapter: 'AMEND', sections: [{ section: '49', section_title: 'Article XLIX', full_text: text, url: 'https://example.test/Constitution' }] }] }] }]
+    });
+    const diff = diffCorpora(constitution('The people shall have the right to clean air.'), constitution('The people shall have the right to clean air and water.'));
+    assert.strictEqual(diff.corpus, 'Constitution of the Commonwealth of Massachusetts');
+    assert.match(renderMarkdown(diff), /^# Changes to the Constitution of the Commonwealth of Massachusetts$/m);
+    assert.match(renderMarkdown(diff), /^### \[Mass\. Const\. amend\. art\. 49\]/m);
+    assert.match(renderHtml(diff), /<title>Changes to the Constitution of the Commonwealth of Massachusetts<\/title>/);
+});
+
+test('a comparison can be limited to some chapters', () => {
+    const diff = diffCorpora(before, after, { chapters: ['187'] });
+    assert.deepStrictEqual(diff.summary, { added: 0, removed: 0, repealed: 0, modified: 0 });
+});
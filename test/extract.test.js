@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BASE_URL } = require('../lib/util');
+const { TITLE_CHAPTERS_URL } = require('../lib/backends/http');
+const {
+    parsePartText,
+    parseChapterText,
+    extractParts,
+    extractTitlePanels,
+    extractChapters,
+    extractSectionLinks,
+    extractSectionBody
+} = require('../lib/extract');
+const { readFixture } = require('./helpers');
+
+const PART_URL = `${BASE_URL}/PartII`;
+const CHAPTER_URL = `${BASE_URL}/PartII/TitleI/Chapter186`;
+
+test('parsePartText reads the numeral and title with or without a chapter range', () => {
+    assert.deepStrictEqual(
+        parsePartText('Part II REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS Chapters. 183-210'),
+        { part: 'II', part_title: 'REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS' }
+    );
+    assert.deepStrictEqual(parsePartText('Part V THE GENERAL COURT'), { part: 'V', part_title: 'THE GENERAL COURT' });
+    assert.strictEqual(parsePartText('General Laws'), null);
+});
+
+test('parseChapterText keeps lettered chapter numbers', () => {
+    assert.deepStrictEqual(
+        parseChapterText('Chapter 93A REGULATION OF BUSINESS PRACTICES FOR CONSUMERS PROTECTION'),
+        { chapter: '93A', chapter_title: 'REGULATION OF BUSINESS PRACTICES FOR CONSUMERS PROTECTION' }
+    );
+});
+
+test('extractParts lists the parts on the landing page', () => {
+    assert.deepStrictEqual(extractParts(readFixture(BASE_URL), BASE_URL), [{
+        part: 'II',
+        part_title: 'REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS',
+        url: PART_URL
+    }]);
+});
+
+test('extractTitlePanels reads the accordionAjaxLoad arguments', () => {
+    assert.deepStrictEqual(extractTitlePanels(readFixture(PART_URL)), [{
+        index: 0,
+        title: 'I',
+        title_name: 'TITLE TO REAL PROPERTY',
+        partId: '2',
+        titleId: '21',
+        code: 'I'
+    }]);
+});
+
+test('extractChapters reads the chapter list the accordion loads', () => {
+    const html = readFixture(TITLE_CHAPTERS_URL, { partId: '2', titleId: '21', code: 'I' });
+    assert.deepStrictEqual(extractChapters(html, PART_URL), [{
+        chapter: '186',
+        chapter_title: 'ESTATES FOR YEARS AND AT WILL',
+        url: CHAPTER_URL
+    }]);
+});
+
+test('extractSectionLinks lists a chapter\'s sections with absolute URLs', () => {
+    const sections = extractSectionLinks(readFixture(CHAPTER_URL), CHAPTER_URL);
+    assert.deepStrictEqual(sections.map(s => s.number), ['1', '15B', '16']);
+    assert.strictEqual(sections[1].title, 'Security deposits and last month\'s rent');
+    assert.strictEqual(sections[1].url, `${CHAPTER_URL}/Section15B`);
+});
+
+test('extractSectionBody leaves out the toolbar and heading and keeps paragraphs', () => {
+    const { full_text } = extractSectionBody(readFixture(`${CHAPTER_URL}/Section1`));
+    assert.strictEqual(full_text, [
+        'Section 1. Estates for years may be created by writing, and shall be valid for the term stated.',
+        'Any such estate shall terminate as provided in section 15B of this chapter.'
+    ].join('\n\n'));
+});
+
+test('extractSectionBody reads the title from the section\'s heading', () => {
+    const { section_title } = extractSectionBody(readFixture(`${CHAPTER_URL}/Section15B`));
+    assert.strictEqual(section_title, 'Security deposits and last month\'s rent');
+});
+
+test('extractSectionBody is empty for a section with no body', () => {
+    const { full_text, structure } = extractSectionBody(readFixture(`${CHAPTER_URL}/Section16`));
+    assert.strictEqual(full_text, '');
+    assert.deepStrictEqual(structure, { text: '', children: [] });
+});
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+const { fixturePath } = require('../lib/fixtures');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'site');
+
+// The HTML recorded for a URL in the fixture site
+function readFixture(url, params) {
+    return fs.readFileSync(fixturePath(FIXTURE_DIR, url, params), 'utf8');
+}
+
+module.exports = {
+    FIXTURE_DIR,
+    readFixture
+};
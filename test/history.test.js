@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseHistory, lastChange } = require('../lib/history');
+
+test('notes become one record per act, linked to the session law', () => {
+    const history = parseHistory(
+        '',
+        '[Subsection (m) inserted by 2018, 69, Sec. 5 effective July 1, 2018.]\n\n' +
+        'As amended by St. 2019, c. 41, §§ 2 and 3; 2020, 5, Sec. 3.'
+    );
+    assert.deepStrictEqual(history, [
+        {
+            action: 'inserted', year: 2018, chapter: '69', section: '5', effective: '2018-07-01',
+            url: 'https://malegislature.gov/Laws/SessionLaws/Acts/2018/Chapter69'
+        },
+        {
+            action: 'amended', year: 2019, chapter: '41', section: '2 and 3', effective: null,
+            url: 'https://malegislature.gov/Laws/SessionLaws/Acts/2019/Chapter41'
+        },
+        {
+            action: 'amended', year: 2020, chapter: '5', section: '3', effective: null,
+            url: 'https://malegislature.gov/Laws/SessionLaws/Acts/2020/Chapter5'
+        }
+    ]);
+    assert.strictEqual(lastChange(history).year, 2020);
+});
+
+test('acts older than the online Session Laws have no url', () => {
+    const [record] = parseHistory('Repealed, 1973, 1114, Sec. 62');
+    assert.strictEqual(record.action, 'repealed');
+    assert.strictEqual(record.url, null);
+});
+
+test('text that cites an act without changing the section has no history', () => {
+    assert.deepStrictEqual(parseHistory('', 'as provided in section 3 of chapter 40 of the acts of 2020'), []);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { log, configureLogging, logToFile } = require('../lib/log');
+const { createProgress } = require('../lib/progress');
+
+// Collects what is written to it, standing in for a terminal or a pipe
+function fakeStream(isTTY) {
+    const stream = { isTTY, columns: isTTY ? 200 : undefined, output: '' };
+    stream.write = (text) => { stream.output += text; };
+    return stream;
+}
+
+test('a log file gets every line as JSON, whatever level is printed', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const file = path.join(dir, 'logs', 'run.jsonl');
+    const previous = configureLogging({ level: 'error' });
+    const close = logToFile(file);
+    try {
+        log.debug('Getting sections', { url: 'https://example.com/' });
+        log.warn('Attempt 1 failed', { error_type: 'timeout' });
+    } finally {
+        close();
+        configureLogging(previous);
+    }
+    log.info('After closing');
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(({ level, msg }) => [level, msg]), [
+        ['debug', 'Getting sections'],
+        ['warn', 'Attempt 1 failed']
+    ]);
+    assert.strictEqual(lines[0].url, 'https://example.com/');
+    assert.strictEqual(lines[1].error_type, 'timeout');
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+
+    assert.throws(() => configureLogging({ level: 'verbose' }), /Unknown log level "verbose"/);
+    assert.throws(() => configureLogging({ format: 'xml' }), /Unknown log format "xml"/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('progress estimates the sections left and the time they will take', () => {
+    let clock = 0;
+    const stream = fakeStream(true);
+    const progress = createProgress({ stream, now: () => clock });
+    assert.strictEqual(progress.interactive, true);
+
+    progress.addChapters(4);
+    progress.at({ part: 'II', title: 'I', chapter: '186' });
+    progress.listed(10);
+    // Five sections already saved by an earlier run, then five fetched in a
+    // minute: the 30 left take six minutes at that rate
+    progress.sections(5);
+    clock = 60000;
+    progress.fetched(5);
+    progress.sections(5);
+
+    // Three chapters not listed yet at the ten sections of the one that was
+    let state = progress.snapshot();
+    assert.deepStrictEqual(state.sections, { done: 10, total: 40, fetched: 5 });
+    assert.strictEqual(state.eta_ms, 6 * 60000);
+    assert.match(stream.output, /Part II › Title I › Chapter 186 {2}\[#{5}\.{15}\] 10\/40 sections {2}0 failed {2}ETA 6m 0s$/);
+
+    // A chapter that could not be listed drops out of the estimate
+    clock = 120000;
+    progress.chapterDone();
+    progress.at({ chapter: '187' });
+    progress.failed();
+    progress.chapterDone();
+    state = progress.snapshot();
+    assert.deepStrictEqual(state.chapters, { done: 2, total: 4 });
+    assert.deepStrictEqual(state.sections, { done: 10, total: 30, fetched: 5 });
+    assert.strictEqual(state.failed, 1);
+
+    progress.stop();
+    assert.match(stream.output, /\r\x1b\[K$/);
+});
+
+test('progress away from a terminal is logged once a minute instead of drawn', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const file = path.join(dir, 'run.jsonl');
+    const close = logToFile(file);
+    let clock = 0;
+    const stream = fakeStream(false);
+    const progress = createProgress({ stream, now: () => clock });
+    try {
+        assert.strictEqual(progress.interactive, false);
+        progress.addChapters(1);
+        progress.listed(2);
+        progress.fetched();
+        progress.sections();
+        clock = 61000;
+        progress.fetched();
+        progress.sections();
+        progress.stop();
+    } finally {
+        close();
+    }
+
+    assert.strictEqual(stream.output, '');
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].msg, 'Progress: starting, 2/2 sections  0 failed  ETA 0s');
+    assert.deepStrictEqual(lines[0].progress.sections, { done: 2, total: 2, fetched: 2 });
+    fs.rmSync(dir, { recursive: true, force: true });
+});
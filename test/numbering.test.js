@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSectionNumber, compareSectionNumbers, sameSectionNumber, sortSections, chapterNumbering } = require('../lib/numbering');
+const { selectSections } = require('../lib/scope');
+
+test('section numbers sort the way the code numbers them', () => {
+    const numbers = ['15AA', '3', '2A½', '15B', '1A', '2½', '10', '2', '15Z', 'X', '1', '2A', '15'];
+    assert.deepStrictEqual(numbers.sort(compareSectionNumbers),
+        ['1', '1A', '2', '2½', '2A', '2A½', '3', '10', '15', '15B', '15Z', '15AA', 'X']);
+    assert.deepStrictEqual(parseSectionNumber('2 1/2'), { number: 2, letters: '', half: true });
+    assert.ok(sameSectionNumber('15b', '15B'));
+    assert.ok(sameSectionNumber('2 1/2', '2½'));
+    assert.strictEqual(parseSectionNumber('Part I'), null);
+});
+
+test('sortSections keeps records with the same number in the order given', () => {
+    const sorted = sortSections([{ section: '10' }, { section: '9', n: 1 }, { section: '9', n: 2 }]);
+    assert.deepStrictEqual(sorted.map(s => [s.section, s.n]), [['9', 1], ['9', 2], ['10', undefined]]);
+});
+
+test('chapterNumbering reports gaps, duplicates and unreadable numbers', () => {
+    const sections = ['1', '2', '5', '5A', '5C', '7', '7', '7½', 'Note'].map(section => ({ section }));
+    assert.deepStrictEqual(chapterNumbering(sections), {
+        duplicates: ['7'],
+        gaps: [
+            { after: '2', before: '5', missing: ['3', '4'] },
+            { after: '5A', before: '5C', missing: ['5B'] },
+            { after: '5C', before: '7', missing: ['6'] }
+        ],
+        unreadable: ['Note']
+    });
+});
+
+test('section ranges follow the numbering, not the listing', () => {
+    const listing = ['1', '15', '15B', '2', '16'].map(number => ({ number }));
+    assert.deepStrictEqual(selectSections(listing, '2-15A').map(s => s.number), ['15', '2']);
+    assert.deepStrictEqual(selectSections(listing, '16,1').map(s => s.number), ['1', '16']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRunReport, compareRuns, formatDuration } = require('../lib/report');
+
+function run(scope, chapters) {
+    const report = createRunReport({ scope });
+    report.part();
+    report.title();
+    for (const [chapter, listed] of Object.entries(chapters)) {
+        report.chapter({ chapter }, listed);
+    }
+    return report.finish([], null);
+}
+
+test('a chapter that suddenly lists no sections is flagged', () => {
+    const previous = run({}, { 186: 40, '93A': 11 });
+    const warnings = compareRuns(run({}, { 186: 0, '93A': 11 }), previous);
+    assert.deepStrictEqual(warnings, [
+        'sections listed fell from 51 to 11',
+        'Chapter 186 lists no sections, 40 in the previous run'
+    ]);
+});
+
+test('totals are only compared between runs of the same scope', () => {
+    const previous = run({}, { 186: 40, '93A': 11 });
+    assert.deepStrictEqual(compareRuns(run({ chapters: ['93A'] }, { '93A': 11 }), previous), []);
+});
+
+test('failures are counted by error type', () => {
+    const report = createRunReport().finish([{ error_type: 'http_404' }, { error_type: 'http_404' }, { error_type: 'ECONNRESET' }], null);
+    assert.deepStrictEqual(report.failures, { http_404: 2, ECONNRESET: 1 });
+    assert.strictEqual(report.totals.failures, 3);
+});
+
+test('a chapter listed twice in a run is counted once', () => {
+    const report = createRunReport();
+    report.chapter({ chapter: '186' }, 3);
+    report.chapter({ chapter: '186' }, 2);
+    const finished = report.finish([], null);
+    assert.strictEqual(finished.totals.chapters, 1);
+    assert.strictEqual(finished.totals.sections_listed, 2);
+    assert.deepStrictEqual(finished.chapters, { 186: { listed: 2, selected: 2, fetched: 0 } });
+    assert.strictEqual(finished.totals.sections_selected, 2);
+});
+
+test('durations are written in hours, minutes and seconds', () => {
+    assert.strictEqual(formatDuration(3725000), '1h 2m 5s');
+    assert.strictEqual(formatDuration(250000), '4m 10s');
+    assert.strictEqual(formatDuration(12000), '12s');
+});
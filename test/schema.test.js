@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCorpus } = require('../lib/schema');
+const { withSchemaVersion } = require('../lib/corpus');
+
+function corpus(sections) {
+    return {
+        schema_version: 1,
+        parts: [{
+            part: 'II',
+            part_title: 'REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS',
+            url: 'https://malegislature.gov/Laws/GeneralLaws/PartII',
+            titles: [{
+                title: 'I',
+                title_name: 'TITLE TO REAL PROPERTY',
+                chapters: [{
+                    chapter: '186',
+                    chapter_title: 'ESTATES FOR YEARS AND AT WILL',
+                    url: 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186',
+                    sections
+                }]
+            }]
+        }]
+    };
+}
+
+test('schema violations are reported with their path', () => {
+    const { errors } = validateCorpus(corpus([{ section: '1', full_text: 'Text.', status: 'gone' }]));
+    assert.deepStrictEqual(errors.map(e => e.path), [
+        '/parts/0/titles/0/chapters/0/sections/0',
+        '/parts/0/titles/0/chapters/0/sections/0/status'
+    ]);
+});
+
+test('duplicate numbers, empty active sections and missing URLs are problems', () => {
+    const url = 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186/Section1';
+    const { errors, problems } = validateCorpus(corpus([
+        { section: '1', section_title: 'Estates for years', full_text: 'Text.', url },
+        { section: '1', section_title: 'Estates for years', full_text: '', url },
+        { section: '16', section_title: 'Repealed, 1973, 1114, Sec. 62', full_text: '' }
+    ]));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(problems, [
+        { citation: 'c. 186, § 1', message: 'Section number appears more than once in the chapter' },
+        { citation: 'c. 186, § 1', message: 'Active section has no text' },
+        { citation: 'c. 186, § 16', message: 'Section has no url' }
+    ]);
+});
+
+test('a corpus from a newer schema version is refused', () => {
+    assert.strictEqual(withSchemaVersion({ parts: [] }).schema_version, 1);
+    assert.throws(() => withSchemaVersion({ schema_version: 2, parts: [] }, 'laws.json'), /laws\.json has schema version 2/);
+});
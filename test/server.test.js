@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../lib/server');
+const { createSearchIndex, exportSqlite } = require('../lib/sqlite');
+
+const laws = {
+    schema_version: 1,
+    parts: [{
+        part: 'II',
+        part_title: 'REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS',
+        url: 'https://malegislature.gov/Laws/GeneralLaws/PartII',
+        titles: [{
+            title: 'I',
+            title_name: 'TITLE TO REAL PROPERTY',
+            chapters: [{
+                chapter: '186',
+                chapter_title: 'ESTATES FOR YEARS AND AT WILL',
+                url: 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186',
+                sections: [
+                    { section: '1', section_title: 'Term of lease', full_text: 'A lease for more than seven years may be recorded.', url: 'https://example.test/1' },
+                    { section: '15B', section_title: 'Security deposits', full_text: 'A lessor may require a security deposit from the tenant.', url: 'https://example.test/15B' },
+                    { section: '16', section_title: 'Repealed, 1973, 1114, Sec. 62', full_text: '', url: 'https://example.test/16' }
+                ]
+            }]
+        }]
+    }]
+};
+
+async function withServer(fn) {
+    const server = createServer(laws);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        await fn(async (path, headers) => {
+            const response = await fetch(base + path, { headers });
+            const body = response.status === 304 ? null : await response.json();
+            return { status: response.status, etag: response.headers.get('etag'), body };
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('the server walks the corpus from parts down to sections', async () => {
+    await withServer(async (get) => {
+        const parts = await get('/parts');
+        assert.strictEqual(parts.status, 200);
+        assert.deepStrictEqual(parts.body.pagination, { offset: 0, limit: 50, total: 1 });
+        assert.strictEqual(parts.body.data[0].part, 'II');
+
+        const title = await get('/parts/ii/titles/I');
+        assert.deepStrictEqual(title.body.data.chapters.map(c => c.chapter), ['186']);
+
+        const chapter = await get('/chapters/186');
+        assert.deepStrictEqual(chapter.body.data.sections.map(s => [s.section, s.status]),
+            [['1', 'active'], ['15B', 'active'], ['16', 'repealed']]);
+
+        const sections = await get('/chapters/186/sections?offset=1&limit=1');
+        assert.deepStrictEqual(sections.body.data.map(s => s.section), ['15B']);
+        assert.deepStrictEqual(sections.body.pagination, { offset: 1, limit: 1, total: 3 });
+
+        const section = await get('/chapters/186/sections/15b');
+        assert.strictEqual(section.body.data.section, '15B');
+        assert.strictEqual(section.body.data.chapter, '186');
+        assert.match(section.body.data.full_text, /security deposit/);
+    });
+});
+
+test('the server searches, answers errors as JSON and honours ETags', async () => {
+    await withServer(async (get) => {
+        const hits = await get('/search?q=security+deposit');
+        assert.strictEqual(hits.body.pagination.total, 1);
+        assert.strictEqual(hits.body.data[0].citation, 'c. 186, § 15B');
+
+        assert.deepStrictEqual((await get('/chapters/999')).body, { error: { status: 404, message: 'Chapter 999 not found' } });
+        assert.strictEqual((await get('/search')).status, 400);
+        assert.strictEqual((await get('/parts?limit=0')).status, 400);
+        assert.strictEqual((await get('/nowhere')).status, 404);
+
+        const first = await get('/chapters/186');
+        assert.ok(first.etag);
+        const again = await get('/chapters/186', { 'If-None-Match': first.etag });
+        assert.strictEqual(again.status, 304);
+    });
+});
+
+test('a section number listed twice in a chapter is indexed and exported both times', () => {
+    const chapter = laws.parts[0].titles[0].chapters[0];
+    const duplicated = {
+        ...laws,
+        parts: [{
+            ...laws.parts[0],
+            titles: [{
+                ...laws.parts[0].titles[0],
+                chapters: [{
+                    ...chapter,
+                    sections: [
+                        ...chapter.sections,
+                        { section: '15B', section_title: 'Security deposits', full_text: 'A second security deposit text.', url: 'https://example.test/15B-2' }
+                    ]
+                }]
+            }]
+        }]
+    };
+
+    const index = createSearchIndex(duplicated);
+    try {
+        assert.strictEqual(index.search('security deposit').total, 2);
+    } finally {
+        index.close();
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    assert.strictEqual(exportSqlite(duplicated, path.join(dir, 'laws.db')).sections, 4);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrapeSessionLaws, parseAmendments, parseYears, findAct } = require('../lib/sessionlaws');
+const { FIXTURE_DIR } = require('./helpers');
+
+test('a Session Laws crawl collects acts and resolves with the General Laws they change', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const output = path.join(dir, 'session_laws.json');
+
+    const totals = await scrapeSessionLaws({ replay: FIXTURE_DIR, output, years: '2019' });
+    assert.strictEqual(totals.acts, 1);
+    assert.strictEqual(totals.resolves, 1);
+    assert.strictEqual(totals.fetched, 2);
+    // Chapter 42 is listed but has no page
+    assert.deepStrictEqual(totals.failed.map(f => f.url), ['https://malegislature.gov/Laws/SessionLaws/Acts/2019/Chapter42']);
+
+    const laws = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.strictEqual(laws.schema_version, 1);
+    assert.deepStrictEqual(laws.years.map(y => y.year), [2019]);
+
+    const act = findAct(laws, 'St. 2019, c. 41');
+    assert.strictEqual(act.kind, 'act');
+    assert.strictEqual(act.title, 'AN ACT RELATIVE TO SECURITY DEPOSITS');
+    assert.strictEqual(act.approved, '2019-07-31');
+    assert.strictEqual(act.url, 'https://malegislature.gov/Laws/SessionLaws/Acts/2019/Chapter41');
+    assert.match(act.full_text, /^Be it enacted[^]*\n\nSECTION 1\. /);
+    assert.deepStrictEqual(act.amends, [
+        { chapter: '186', section: '15B', action: 'amended', act_section: '1' },
+        { chapter: '186', section: '15C', action: 'inserted', act_section: '2' },
+        { chapter: '186', section: '16', action: 'repealed', act_section: '3' },
+        { chapter: '186', section: '17', action: 'repealed', act_section: '3' }
+    ]);
+
+    const resolve = findAct(laws, '2019, 1', 'resolves');
+    assert.strictEqual(resolve.kind, 'resolve');
+    assert.strictEqual(resolve.approved, '2019-03-04');
+    assert.deepStrictEqual(resolve.amends, []);
+
+    // The missing act is in the failure log as gone for good
+    const [missing] = totals.failed;
+    assert.strictEqual(missing.transient, false);
+    const log = JSON.parse(fs.readFileSync(path.join(dir, 'session_laws.store', 'failures.json'), 'utf8'));
+    assert.deepStrictEqual(log.map(e => [e.url, e.error_type, e.chapter]), [[missing.url, missing.error_type, { kind: 'acts', year: 2019, chapter: '42' }]]);
+
+    // A second run keeps what it has and doesn't ask for the missing act again
+    const again = await scrapeSessionLaws({ replay: FIXTURE_DIR, output, years: '2019' });
+    assert.strictEqual(again.fetched, 0);
+    assert.strictEqual(again.skipped, 1);
+    assert.deepStrictEqual(again.failed, []);
+
+    // unless forced to
+    const forced = await scrapeSessionLaws({ replay: FIXTURE_DIR, output, years: '2019', force: true });
+    assert.strictEqual(forced.failed.length, 1);
+    assert.strictEqual(forced.failed[0].attempts, 2);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('amendments are read from the way acts word their changes', () => {
+    const text = [
+        'SECTION 1. Sections 2 to 5, inclusive, of chapter 93A of the General Laws are hereby repealed.',
+        'SECTION 2. Chapter 6 of the General Laws is hereby amended by adding the following 2 sections:-',
+        'Section 220. The first.',
+        'Section 221. The second.',
+        'SECTION 3. Chapter 7 of the General Laws is hereby amended by striking out section 4.',
+        'SECTION 4. Section 3 of chapter 12 of the acts of 2018 is hereby amended.'
+    ].join('\n\n');
+    assert.deepStrictEqual(parseAmendments(text), [
+        { chapter: '93A', section: '2', through: '5', action: 'repealed', act_section: '1' },
+        { chapter: '6', section: '220', action: 'inserted', act_section: '2' },
+        { chapter: '6', section: '221', action: 'inserted', act_section: '2' },
+        { chapter: '7', section: null, action: 'amended', act_section: '3' }
+    ]);
+
+    assert.deepStrictEqual(parseYears('2019, 2017-2018'), [2017, 2018, 2019]);
+    assert.throws(() => parseYears('1990'), /start with 1997/);
+});
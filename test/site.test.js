@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportSite } = require('../lib/site');
+
+const laws = {
+    schema_version: 1,
+    parts: [{
+        part: 'II',
+        part_title: 'REAL AND PERSONAL PROPERTY AND DOMESTIC RELATIONS',
+        titles: [{
+            title: 'I',
+            title_name: 'TITLE TO REAL PROPERTY',
+            chapters: [{
+                chapter: '186',
+                chapter_title: 'ESTATES FOR YEARS AND AT WILL',
+                sections: [
+                    {
+                        section: '15B',
+                        section_title: 'Security deposits & last month\'s rent',
+                        full_text: 'A lessor may require <b>rent</b> in advance.\n\nThe lessor shall give a receipt.',
+                        history: [{ action: 'amended', year: 2019, chapter: '41', section: '2', effective: '2022-01-01', url: 'https://malegislature.gov/Laws/SessionLaws/Acts/2019/Chapter41' }],
+                        url: 'https://malegislature.gov/Laws/GeneralLaws/PartII/TitleI/Chapter186/Section15B'
+                    },
+                    { section: '15B½', section_title: 'Deposits held in trust', full_text: 'The deposit is held in trust.', history: [] },
+                    { section: '16', section_title: 'Repealed, 1973, 1114, Sec. 62', full_text: '', history: [] }
+                ]
+            }]
+        }]
+    }]
+};
+
+const read = (dir, ...segments) => fs.readFileSync(path.join(dir, ...segments), 'utf8');
+
+test('the HTML site has an index, a contents page per title and a page per chapter', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    assert.strictEqual(exportSite(laws, dir, 'html'), 3);
+
+    const index = read(dir, 'index.html');
+    assert.match(index, /<h2 id="part-II">Part II: REAL AND PERSONAL PROPERTY/);
+    assert.match(index, /<h1>Massachusetts General Laws<\/h1>/);
+    assert.match(index, /<a href="part-II\/title-I\/index.html">Title I: TITLE TO REAL PROPERTY<\/a>/);
+    assert.ok(fs.existsSync(path.join(dir, 'style.css')));
+
+    const toc = read(dir, 'part-II', 'title-I', 'index.html');
+    assert.match(toc, /<a href="\.\.\/\.\.\/index.html#part-II">Part II<\/a> &rsaquo; Title I<\/nav>/);
+    assert.match(toc, /<a href="chapter-186.html#section-15B">Section 15B<\/a> Security deposits &amp; last month's rent/);
+    assert.match(toc, /<a href="chapter-186.html#section-15B-1-2">Section 15B½<\/a>/);
+
+    const chapter = read(dir, 'part-II', 'title-I', 'chapter-186.html');
+    assert.match(chapter, /<a href="index.html">Title I<\/a> &rsaquo; Chapter 186<\/nav>/);
+    assert.match(chapter, /<section class="section" id="section-15B">/);
+    assert.match(chapter, /<section class="section" id="section-15B-1-2">/);
+    assert.match(chapter, /<p>A lessor may require &lt;b&gt;rent&lt;\/b&gt; in advance.<\/p>\n<p>The lessor shall give a receipt.<\/p>/);
+    assert.match(chapter, /<li>amended by <a href="https:\/\/malegislature.gov\/Laws\/SessionLaws\/Acts\/2019\/Chapter41">St. 2019, c. 41, § 2<\/a>, effective 2022-01-01<\/li>/);
+    assert.match(chapter, /<a href="https:\/\/malegislature.gov\/Laws\/GeneralLaws\/PartII\/TitleI\/Chapter186\/Section15B">Section 15B on malegislature.gov<\/a>/);
+    assert.match(chapter, /<section class="section inactive" id="section-16">[^]*<p class="status">Repealed<\/p>/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the Markdown tree has the same pages with README.md indexes', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    assert.strictEqual(exportSite(laws, dir, 'markdown'), 3);
+
+    const index = read(dir, 'README.md');
+    assert.match(index, /<a id="part-II"><\/a>\n\n## Part II: REAL AND PERSONAL PROPERTY/);
+    assert.match(index, /- \[Title I: TITLE TO REAL PROPERTY\]\(part-II\/title-I\/README.md\)/);
+
+    const toc = read(dir, 'part-II', 'title-I', 'README.md');
+    assert.match(toc, /^\[General Laws\]\(\.\.\/\.\.\/README.md\) › \[Part II\]\(\.\.\/\.\.\/README.md#part-II\) › Title I$/m);
+    assert.match(toc, /^ {2}- \[Section 15B½\]\(chapter-186.md#section-15B-1-2\) Deposits held in trust$/m);
+
+    const chapter = read(dir, 'part-II', 'title-I', 'chapter-186.md');
+    assert.match(chapter, /› \[Title I\]\(README.md\) › Chapter 186$/m);
+    assert.match(chapter, /<a id="section-15B"><\/a>\n\n## Section 15B\. Security deposits & last month's rent/);
+    assert.match(chapter, /^- amended by \[St. 2019, c. 41, § 2\]\(https:\/\/malegislature.gov\/Laws\/SessionLaws\/Acts\/2019\/Chapter41\), effective 2022-01-01$/m);
+    assert.match(chapter, /^\[Section 15B on malegislature.gov\]\(https:\/\/malegislature.gov\/Laws\/GeneralLaws\/PartII\/TitleI\/Chapter186\/Section15B\)$/m);
+    assert.match(chapter, /## Section 16\. Repealed, 1973, 1114, Sec\. 62\n\n\*Repealed\*/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a Constitution export names it and its articles', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ma-law-'));
+    const constitution = {
+        schema_version: 1,
+        parts: [{
+            part: 'AMEND',
+            part_title: 'Articles of Amendment',
+            titles: [{
+                title: 'AMEND',
+                title_name: 'Articles of Amendment',
+                chapters: [{
+                    chapter: 'AMEND',
+                    chapter_title: 'Articles of Amendment',
+                    sections: [{ section: '49', section_title: 'Article XLIX', full_text: 'The people shall have the right to clean air and water.', history: [] }]
+                }]
+            }]
+        }]
+    };
+    exportSite(constitution, dir, 'html');
+    assert.match(read(dir, 'index.html'), /<h1>Constitution of the Commonwealth of Massachusetts<\/h1>/);
+    const chapter = read(dir, 'part-AMEND', 'title-AMEND', 'chapter-AMEND.html');
+    assert.match(chapter, /<nav class="breadcrumbs"><a href="\.\.\/\.\.\/index.html">Mass\. Const\.<\/a>/);
+    assert.match(chapter, /<h2><a href="#section-49">Article 49<\/a>\. Article XLIX<\/h2>/);
+
+    exportSite(constitution, dir, 'markdown');
+    assert.match(read(dir, 'part-AMEND', 'title-AMEND', 'chapter-AMEND.md'), /^\[Mass\. Const\.\]\(\.\.\/\.\.\/README.md\)[^]*## Article 49\. Article XLIX$/m);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an unknown site format is an error', () => {
+    assert.throws(() => exportSite(laws, os.tmpdir(), 'pdf'), /Unknown format "pdf", expected html or markdown/);
+});
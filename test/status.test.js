@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifySection, sectionStatus } = require('../lib/status');
+
+test('the note in a section title sets the status and the act', () => {
+    assert.deepStrictEqual(classifySection('Repealed, 1973, 1114, Sec. 62', ''), {
+        status: 'repealed',
+        status_citation: { year: 1973, chapter: '1114', section: '62' }
+    });
+    assert.deepStrictEqual(classifySection('Stricken by St. 1996, c. 151, § 218', ''), {
+        status: 'stricken',
+        status_citation: { year: 1996, chapter: '151', section: '218' }
+    });
+    assert.deepStrictEqual(classifySection('[Reserved]', ''), { status: 'reserved', status_citation: null });
+    assert.strictEqual(classifySection('Inoperative', '').status, 'inoperative');
+});
+
+test('a note at the start of the text counts, a mention later does not', () => {
+    assert.strictEqual(classifySection('', '[Repealed, 1981, 351, Secs. 2-4]').status, 'repealed');
+    assert.deepStrictEqual(classifySection('', 'Repealed, 1981, 351, Secs. 2-4').status_citation,
+        { year: 1981, chapter: '351', section: '2-4' });
+    assert.strictEqual(classifySection('Security deposits', 'No lease shall be repealed, 1973.').status, 'active');
+});
+
+test('records saved without a status are classified from their title', () => {
+    assert.strictEqual(sectionStatus({ section_title: 'Repealed, 1973, 1114, Sec. 62', full_text: '' }), 'repealed');
+    assert.strictEqual(sectionStatus({ section_title: 'Repealed', full_text: '', status: 'stricken' }), 'stricken');
+});
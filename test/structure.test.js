@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStructure, findProvision, provisionCitation } = require('../lib/structure');
+
+test('labels nest in the order their styles first appear', () => {
+    const structure = parseStructure([
+        'Section 15B. (1)(a) Upon the beginning of a tenancy, a lessor may require:',
+        '(i) rent for the first full month of occupancy;',
+        '(ii) rent for the last full month of occupancy;',
+        '(b) No lessor shall require a tenant to pay a fee.',
+        '(2) A lessor shall give the tenant a receipt.'
+    ]);
+
+    assert.deepStrictEqual(structure.children.map(c => c.path), ['(1)', '(2)']);
+    assert.deepStrictEqual(structure.children[0].children.map(c => c.path), ['(1)(a)', '(1)(b)']);
+
+    const clause = findProvision(structure, '(1)(a)(ii)');
+    assert.strictEqual(clause.level, 'clause');
+    assert.strictEqual(clause.text, 'rent for the last full month of occupancy;');
+});
+
+test('(i) after (h) is a letter, not a numeral', () => {
+    const structure = parseStructure(['(g) seven', '(h) eight', '(i) nine', '(j) ten']);
+    assert.deepStrictEqual(structure.children.map(c => c.label), ['g', 'h', 'i', 'j']);
+});
+
+test('unlabelled paragraphs continue the open provision', () => {
+    const structure = parseStructure(['Intro.', '(a) First.', 'More of (a).']);
+    assert.strictEqual(structure.text, 'Intro.');
+    assert.strictEqual(structure.children[0].text, 'First.\n\nMore of (a).');
+});
+
+test('provisionCitation', () => {
+    assert.strictEqual(provisionCitation('186', '15B', '(1)(c)'), 'c. 186, § 15B(1)(c)');
+});
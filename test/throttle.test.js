@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createThrottle, parseRetryAfter } = require('../lib/throttle');
+const { HttpStatusError } = require('../lib/errors');
+
+// A transport that answers each URL with its responses in turn (an Error is
+// thrown rather than returned) and notes when each request was made
+function stubTransport(responses) {
+    const requests = [];
+    return {
+        requests,
+        get: async (url) => {
+            requests.push([url, Date.now()]);
+            const response = responses[url].shift();
+            if (response instanceof Error) throw response;
+            return response;
+        },
+        close: async () => {}
+    };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a 429 with Retry-After holds back every request for that long', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const transport = stubTransport({
+        '/a': [new HttpStatusError(429, '/a', 5000), 'a'],
+        '/b': ['b']
+    });
+    const throttle = createThrottle({ requestsPerSecond: 1000 });
+
+    const a = throttle.schedule(() => transport.get('/a'));
+    await settle();
+    // A request from another worker waits out the pause too
+    const b = throttle.schedule(() => transport.get('/b'));
+    await settle();
+
+    t.mock.timers.tick(4999);
+    await settle();
+    assert.deepStrictEqual(transport.requests, [['/a', 0]]);
+
+    t.mock.timers.tick(1);
+    await settle();
+    t.mock.timers.tick(1);
+    assert.deepStrictEqual(await Promise.all([a, b]), ['a', 'b']);
+    assert.deepStrictEqual(transport.requests, [['/a', 0], ['/a', 5000], ['/b', 5001]]);
+});
+
+test('a 503 backs off for longer each time and then succeeds', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const transport = stubTransport({
+        '/a': [new HttpStatusError(503, '/a'), new HttpStatusError(503, '/a'), 'a']
+    });
+    const throttle = createThrottle({ requestsPerSecond: 1000 });
+
+    let done = false;
+    const a = throttle.schedule(() => transport.get('/a')).finally(() => { done = true; });
+    while (!done) {
+        await settle();
+        t.mock.timers.tick(1000);
+    }
+    assert.strictEqual(await a, 'a');
+    assert.deepStrictEqual(transport.requests, [['/a', 0], ['/a', 2000], ['/a', 6000]]);
+});
+
+test('Retry-After is read as seconds or as a date', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T12:00:00Z') });
+    assert.strictEqual(parseRetryAfter('30'), 30000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 May 2024 12:01:00 GMT'), 60000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 May 2024 11:00:00 GMT'), 0);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+});